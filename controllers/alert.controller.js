@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+import catchAsync from '../utils/catchAsync.js';
+import ApiError from '../utils/ApiError.js';
+import pick from '../utils/pick.js';
+import { queryAlerts, acknowledgeAlert } from '../services/alert.service.js';
+
+const getAlerts = catchAsync(async (req, res) => {
+  const filter = pick(req.query, ['type', 'route', 'scheduledBus']);
+  if ((filter.route && !mongoose.isValidObjectId(filter.route)) ||
+    (filter.scheduledBus && !mongoose.isValidObjectId(filter.scheduledBus))) {
+    throw new ApiError(400, 'Invalid id filter');
+  }
+  if (req.query.acknowledged !== undefined) filter.acknowledged = req.query.acknowledged === 'true';
+  if (req.query.from || req.query.to) {
+    filter.createdAt = {};
+    if (req.query.from) filter.createdAt.$gte = new Date(req.query.from);
+    if (req.query.to) filter.createdAt.$lte = new Date(req.query.to);
+    if (Object.values(filter.createdAt).some((date) => Number.isNaN(date.getTime()))) {
+      throw new ApiError(400, 'Invalid date range');
+    }
+  }
+
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await queryAlerts(filter, options);
+  res.send(result);
+});
+
+const acknowledge = catchAsync(async (req, res) => {
+  const alert = await acknowledgeAlert(req.params.id, req.user._id);
+  if (!alert) {
+    throw new ApiError(404, 'Alert not found');
+  }
+  res.send(alert);
+});
+
+export { getAlerts, acknowledge };
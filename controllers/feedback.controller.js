@@ -0,0 +1,57 @@
+import catchAsync from '../utils/catchAsync.js';
+import ApiError from '../utils/ApiError.js';
+import { submitFeedback, summarizeFeedback, queryLowRatedComments } from '../services/feedback.service.js';
+
+const MAX_COMMENT_LENGTH = 1000;
+
+const parseRange = (query) => {
+  const range = {};
+  if (query.from) range.from = new Date(query.from);
+  if (query.to) range.to = new Date(query.to);
+  if (Object.values(range).some((date) => Number.isNaN(date.getTime()))) {
+    throw new ApiError(400, 'Invalid date range');
+  }
+  return range;
+};
+
+const rateTrip = catchAsync(async (req, res) => {
+  // Passengers are anonymous; the app sends a stable install id so ratings can be rate limited
+  const deviceId = req.get('X-Device-Id');
+  if (!deviceId || deviceId.length < 8 || deviceId.length > 128) {
+    throw new ApiError(400, 'A valid X-Device-Id header is required');
+  }
+
+  const { rating, comments } = req.body || {};
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    throw new ApiError(400, 'rating must be a whole number from 1 to 5');
+  }
+  if (comments !== undefined && (typeof comments !== 'string' || comments.length > MAX_COMMENT_LENGTH)) {
+    throw new ApiError(400, `comments must be text of at most ${MAX_COMMENT_LENGTH} characters`);
+  }
+
+  const feedback = await submitFeedback(req.params.id, deviceId, { rating, comments: comments?.trim() || undefined });
+  res.status(201).send(feedback);
+});
+
+const getFeedbackSummary = catchAsync(async (req, res) => {
+  const { groupBy } = req.query;
+  if (!['bus', 'route', 'driver'].includes(groupBy)) {
+    throw new ApiError(400, 'groupBy must be bus, route or driver');
+  }
+
+  const results = await summarizeFeedback(groupBy, parseRange(req.query));
+  res.send({ results });
+});
+
+const getLowRatedComments = catchAsync(async (req, res) => {
+  const maxRating = req.query.maxRating ? parseInt(req.query.maxRating, 10) : undefined;
+  const limit = req.query.limit ? Math.min(parseInt(req.query.limit, 10), 100) : undefined;
+  if ((maxRating !== undefined && !(maxRating >= 1 && maxRating <= 5)) || (limit !== undefined && !(limit > 0))) {
+    throw new ApiError(400, 'Invalid maxRating or limit');
+  }
+
+  const results = await queryLowRatedComments({ ...parseRange(req.query), maxRating, limit });
+  res.send({ results });
+});
+
+export { rateTrip, getFeedbackSummary, getLowRatedComments };
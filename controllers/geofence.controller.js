@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+import catchAsync from '../utils/catchAsync.js';
+import ApiError from '../utils/ApiError.js';
+import pick from '../utils/pick.js';
+import {
+  createGeofence,
+  queryGeofences,
+  getGeofenceById,
+  updateGeofenceById,
+  deleteGeofenceById,
+} from '../services/geofence.service.js';
+
+const GEOFENCE_FIELDS = ['name', 'shape', 'polygon', 'center', 'radius', 'route', 'restricted', 'isActive'];
+
+const pickGeofence = (body = {}) => {
+  const fields = pick(body, GEOFENCE_FIELDS);
+  if (fields.route && !mongoose.isValidObjectId(fields.route)) {
+    throw new ApiError(400, 'Invalid route');
+  }
+  return fields;
+};
+
+const create = catchAsync(async (req, res) => {
+  const geofence = await createGeofence(pickGeofence(req.body));
+  res.status(201).send(geofence);
+});
+
+const getGeofences = catchAsync(async (req, res) => {
+  const filter = pick(req.query, ['route']);
+  if (filter.route && !mongoose.isValidObjectId(filter.route)) {
+    throw new ApiError(400, 'Invalid route');
+  }
+  if (req.query.restricted !== undefined) filter.restricted = req.query.restricted === 'true';
+  if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await queryGeofences(filter, options);
+  res.send(result);
+});
+
+const getGeofence = catchAsync(async (req, res) => {
+  const geofence = await getGeofenceById(req.params.id);
+  if (!geofence) {
+    throw new ApiError(404, 'Geofence not found');
+  }
+  res.send(geofence);
+});
+
+const update = catchAsync(async (req, res) => {
+  const geofence = await updateGeofenceById(req.params.id, pickGeofence(req.body));
+  if (!geofence) {
+    throw new ApiError(404, 'Geofence not found');
+  }
+  res.send(geofence);
+});
+
+const remove = catchAsync(async (req, res) => {
+  const geofence = await deleteGeofenceById(req.params.id);
+  if (!geofence) {
+    throw new ApiError(404, 'Geofence not found');
+  }
+  res.status(204).send();
+});
+
+export { create, getGeofences, getGeofence, update, remove };
@@ -0,0 +1,26 @@
+import catchAsync from '../utils/catchAsync.js';
+import {
+  buildVehiclePositions,
+  buildTripUpdates,
+  buildAlerts,
+  encodeFeed,
+  feedToJson,
+} from '../services/gtfsRealtime.service.js';
+
+/**
+ * Serve a feed as protobuf, or as JSON for debugging with ?format=json
+ */
+const sendFeed = (build) => catchAsync(async (req, res) => {
+  const feed = await build();
+  if (req.query.format === 'json') {
+    return res.send(feedToJson(feed));
+  }
+  res.set('Content-Type', 'application/x-protobuf');
+  res.send(encodeFeed(feed));
+});
+
+const getVehiclePositions = sendFeed(buildVehiclePositions);
+const getTripUpdates = sendFeed(buildTripUpdates);
+const getAlerts = sendFeed(buildAlerts);
+
+export { getVehiclePositions, getTripUpdates, getAlerts };
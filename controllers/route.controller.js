@@ -0,0 +1,31 @@
+import catchAsync from '../utils/catchAsync.js';
+import ApiError from '../utils/ApiError.js';
+import { getRouteById } from '../services/route.service.js';
+import { queryRouteOccupancy } from '../services/occupancy.service.js';
+
+const getRoute = catchAsync(async (req, res) => {
+  const route = await getRouteById(req.params.id);
+  if (!route) {
+    throw new ApiError(404, 'Route not found');
+  }
+  res.send(route);
+});
+
+const getRouteOccupancy = catchAsync(async (req, res) => {
+  const range = {};
+  if (req.query.from) range.from = new Date(req.query.from);
+  if (req.query.to) range.to = new Date(req.query.to);
+  if (Object.values(range).some((date) => Number.isNaN(date.getTime()))) {
+    throw new ApiError(400, 'Invalid date range');
+  }
+
+  const route = await getRouteById(req.params.id);
+  if (!route) {
+    throw new ApiError(404, 'Route not found');
+  }
+
+  const hours = await queryRouteOccupancy(req.params.id, range);
+  res.send({ route: route._id, hours });
+});
+
+export { getRoute, getRouteOccupancy };
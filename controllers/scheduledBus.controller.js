@@ -0,0 +1,128 @@
+import mongoose from 'mongoose';
+import catchAsync from '../utils/catchAsync.js';
+import ApiError from '../utils/ApiError.js';
+import pick from '../utils/pick.js';
+import {
+  buildScheduledBusFilter,
+  queryScheduledBuses,
+  getScheduledBusById,
+} from '../services/scheduledBus.service.js';
+import { parseCoordinates, findApproachingBuses } from '../services/nearby.service.js';
+import { checkAssignment, assignTrip, assignTrips } from '../services/assignment.service.js';
+import { buildBusFilter, searchTrips } from '../services/tripSearch.service.js';
+import { PRESENCE } from '../services/presence.service.js';
+
+const getScheduledBuses = catchAsync(async (req, res) => {
+  if (req.query.route && !mongoose.isValidObjectId(req.query.route)) {
+    throw new ApiError(400, 'Invalid route');
+  }
+  if (req.query.presence !== undefined && !Object.values(PRESENCE).includes(req.query.presence)) {
+    throw new ApiError(400, `presence must be one of ${Object.values(PRESENCE).join(', ')}`);
+  }
+
+  const filter = buildScheduledBusFilter(pick(req.query, ['status', 'route', 'date', 'from', 'to', 'presence']));
+  const invalidDate = Object.values(filter.scheduleTime || {}).some((value) => Number.isNaN(value.getTime()));
+  if (invalidDate) {
+    throw new ApiError(400, 'Invalid date filter');
+  }
+
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await queryScheduledBuses(filter, options);
+  res.send(result);
+});
+
+const getScheduledBus = catchAsync(async (req, res) => {
+  const scheduledBus = await getScheduledBusById(req.params.id);
+  if (!scheduledBus) {
+    throw new ApiError(404, 'Scheduled bus not found');
+  }
+  res.send(scheduledBus);
+});
+
+const getNearbyScheduledBuses = catchAsync(async (req, res) => {
+  const coordinates = parseCoordinates(req.query.lat, req.query.lng);
+  if (!coordinates) {
+    throw new ApiError(400, 'Valid lat and lng are required');
+  }
+
+  const buses = await findApproachingBuses(
+    coordinates.latitude,
+    coordinates.longitude,
+    req.query.radius,
+    req.query.stopRadius
+  );
+  res.send({ results: buses });
+});
+
+const searchScheduledBuses = catchAsync(async (req, res) => {
+  const { origin, destination } = req.query;
+  if (!mongoose.isValidObjectId(origin) || !mongoose.isValidObjectId(destination) || origin === destination) {
+    throw new ApiError(400, 'Distinct origin and destination stops are required');
+  }
+
+  const departAfter = req.query.departAfter ? new Date(req.query.departAfter) : new Date();
+  const departBefore = req.query.departBefore ? new Date(req.query.departBefore) : undefined;
+  if (Number.isNaN(departAfter.getTime()) || (departBefore && !(departBefore >= departAfter))) {
+    throw new ApiError(400, 'Invalid departure window');
+  }
+
+  const limit = req.query.limit ? parseInt(req.query.limit, 10) : undefined;
+  if (limit !== undefined && !(limit > 0)) {
+    throw new ApiError(400, 'Invalid limit');
+  }
+
+  const busFilter = buildBusFilter(
+    pick(req.query, ['lowFloor', 'ac', 'nightService', 'specialService', 'passengerType', 'busType'])
+  );
+  const results = await searchTrips({ origin, destination, departAfter, departBefore }, busFilter, limit);
+  res.send({ results });
+});
+
+const pickAssignment = (source) => {
+  const assignment = pick(source, ['bus', 'driver']);
+  if (!assignment.bus && !assignment.driver) {
+    throw new ApiError(400, 'A bus or driver is required');
+  }
+  if (Object.values(assignment).some((id) => !mongoose.isValidObjectId(id))) {
+    throw new ApiError(400, 'Invalid bus or driver');
+  }
+  return assignment;
+};
+
+const getAssignmentConflicts = catchAsync(async (req, res) => {
+  const result = await checkAssignment(req.params.id, pickAssignment(req.query));
+  if (!result) {
+    throw new ApiError(404, 'Scheduled bus not found');
+  }
+  res.send({ conflicts: result.conflicts });
+});
+
+const assign = catchAsync(async (req, res) => {
+  const result = await assignTrip(req.params.id, pickAssignment(req.body));
+  if (!result) {
+    throw new ApiError(404, 'Scheduled bus not found');
+  }
+  if (result.conflicts.length) {
+    return res.status(409).send({ code: 409, message: 'Assignment conflicts', conflicts: result.conflicts });
+  }
+  res.send(result.trip);
+});
+
+const autoAssign = catchAsync(async (req, res) => {
+  const from = req.body.from ? new Date(req.body.from) : new Date();
+  const to = req.body.to ? new Date(req.body.to) : undefined;
+  if (Number.isNaN(from.getTime()) || (to && Number.isNaN(to.getTime()))) {
+    throw new ApiError(400, 'Invalid date');
+  }
+  res.send(await assignTrips({ from, to }));
+});
+
+export {
+  getScheduledBuses,
+  getScheduledBus,
+  getNearbyScheduledBuses,
+  searchScheduledBuses,
+  getAssignmentConflicts,
+  assign,
+  autoAssign,
+};
@@ -0,0 +1,31 @@
+import catchAsync from '../utils/catchAsync.js';
+import pick from '../utils/pick.js';
+import ApiError from '../utils/ApiError.js';
+import { searchFilter, queryStops } from '../services/stop.service.js';
+import { parseCoordinates, findNearbyStops } from '../services/nearby.service.js';
+
+const getStops = catchAsync(async (req, res) => {
+  const { search } = req.query;
+  if (search !== undefined && typeof search !== 'string') {
+    throw new ApiError(400, 'search must be a single value');
+  }
+
+  const filter = search ? searchFilter(search) : {};
+  if (req.query.active !== undefined) filter.active = req.query.active === 'true';
+
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await queryStops(filter, options);
+  res.send(result);
+});
+
+const getNearbyStops = catchAsync(async (req, res) => {
+  const coordinates = parseCoordinates(req.query.lat, req.query.lng);
+  if (!coordinates) {
+    throw new ApiError(400, 'Valid lat and lng are required');
+  }
+
+  const stops = await findNearbyStops(coordinates.latitude, coordinates.longitude, req.query.radius);
+  res.send({ results: stops });
+});
+
+export { getStops, getNearbyStops };
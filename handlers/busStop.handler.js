@@ -0,0 +1,37 @@
+import ProtocolError from "../utils/ProtocolError.js";
+import { arrivalAtStop } from "../services/eta.service.js";
+import { ERROR_CODES } from "../services/protocol.service.js";
+import { buildScheduledBusFilter, queryStopSchedules } from "../services/scheduledBus.service.js";
+
+// Passenger is requesting buses for a specific stop
+const busStopRequest = {
+  schema: {
+    busStopId: { type: "objectId", required: true },
+    date: { type: "string" },
+    from: { type: "date" },
+    to: { type: "date" },
+    page: { type: "numeric" },
+    limit: { type: "numeric" },
+    sortBy: { type: "string" },
+  },
+  handle: async (ws, { busStopId, status, date, from, to, page, limit, sortBy }) => {
+    const filter = buildScheduledBusFilter({ status, date, from, to });
+    if (Object.values(filter.scheduleTime || {}).some((value) => Number.isNaN(value.getTime()))) {
+      throw new ProtocolError(ERROR_CODES.INVALID_PAYLOAD, "date must be YYYY-MM-DD");
+    }
+    const schedules = await queryStopSchedules(busStopId, filter, { page, limit, sortBy });
+
+    const buses = await Promise.all(schedules.results.map(async (schedule) => ({
+      ...schedule.toObject(),
+      arrival: await arrivalAtStop(schedule, schedule.route, busStopId),
+    })));
+
+    const { page: currentPage, limit: pageSize, totalPages, totalResults } = schedules;
+    return {
+      type: "busStopResponse",
+      payload: { buses, page: currentPage, limit: pageSize, totalPages, totalResults },
+    };
+  },
+};
+
+export { busStopRequest };
@@ -0,0 +1,26 @@
+import { registerHandler } from "../services/protocol.service.js";
+import { hello, auth } from "./session.handler.js";
+import { locationUpdate, locationBatch, occupancyUpdate } from "./location.handler.js";
+import { nearbyStopsRequest, nearbyBusesRequest } from "./nearby.handler.js";
+import { replayRequest, replayStop } from "./replay.handler.js";
+import { subscribe, unsubscribe } from "./subscription.handler.js";
+import { busStopRequest } from "./busStop.handler.js";
+
+const defaultHandlers = {
+  hello,
+  auth,
+  locationUpdate,
+  locationBatch,
+  occupancyUpdate,
+  nearbyStopsRequest,
+  nearbyBusesRequest,
+  replayRequest,
+  replayStop,
+  subscribe,
+  unsubscribe,
+  busStopRequest,
+};
+
+Object.entries(defaultHandlers).forEach(([type, handler]) => {
+  registerHandler(type, handler);
+});
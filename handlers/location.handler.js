@@ -0,0 +1,174 @@
+import ProtocolError from "../utils/ProtocolError.js";
+import { authorizeLocationUpdate } from "../services/auth.service.js";
+import { MAX_BATCH_SIZE, updateBusLocation, applyLocationBatch } from "../services/location.service.js";
+import { parseFix } from "../services/gpsFilter.service.js";
+import { announceBusProgress } from "../services/announcement.service.js";
+import { monitorBusProgress } from "../services/monitor.service.js";
+import { monitorGeofences } from "../services/geofenceMonitor.service.js";
+import { publishPresence, registerDriver } from "../services/presence.service.js";
+import { OCCUPANCY_LEVELS, updateOccupancy } from "../services/occupancy.service.js";
+import { ERROR_CODES } from "../services/protocol.service.js";
+import { publish, busTopics, toBusDelta } from "../services/subscription.service.js";
+
+const OCCUPANCY_SCHEMA = {
+  level: { type: "string", enum: OCCUPANCY_LEVELS },
+  count: { type: "integer", min: 0 },
+};
+
+const FIX_SCHEMA = {
+  latitude: { type: "number", required: true, min: -90, max: 90 },
+  longitude: { type: "number", required: true, min: -180, max: 180 },
+  timestamp: { type: "date" },
+  accuracy: { type: "number", min: 0 },
+  occupancy: { type: "object", properties: OCCUPANCY_SCHEMA },
+};
+
+const checkOccupancy = (occupancy) => {
+  if (occupancy && occupancy.level === undefined && occupancy.count === undefined) {
+    throw new ProtocolError(ERROR_CODES.INVALID_PAYLOAD, "occupancy needs a level or a count");
+  }
+};
+
+/**
+ * A fix as updateBusLocation takes it, with any crowding the crew reported alongside
+ */
+const fixOf = (payload) => ({ ...parseFix(payload), occupancy: payload.occupancy });
+
+/**
+ * Tell everyone who cares about an accepted location fix: subscribers get the move, stop passages and
+ * trip transitions, stops get announcements and managers get adherence alerts.
+ * @param {Object} result - Result of updateBusLocation
+ * @param {Object} [options]
+ * @param {boolean} [options.announce] - Skip announcements for fixes replayed from an offline buffer
+ */
+const publishLocationResult = (result, { announce = true } = {}) => {
+  const { bus, busDetails, route, stops, transition, stopEvents, presenceChanged, geofenceEvents, deviation } = result;
+
+  // Only sockets subscribed to this bus, its route or one of its stops hear about the move
+  const topics = busTopics(bus, route);
+  publish(topics, { type: "busDelta", bus: toBusDelta(bus) });
+
+  if (stopEvents.length) {
+    publish(topics, { type: "stopPassage", scheduledBusId: bus.id, events: stopEvents });
+  }
+
+  if (announce) {
+    announceBusProgress({
+      bus,
+      route,
+      stopsById: new Map(stops.map((stop) => [stop.id, stop])),
+      busNumber: busDetails?.busNumber,
+      stopEvents,
+    });
+  }
+
+  if (stopEvents.length) {
+    monitorBusProgress({ bus, route, stopEvents, busNumber: busDetails?.busNumber })
+      .catch((error) => console.error("❌ Error checking schedule adherence:", error));
+  }
+
+  if (geofenceEvents.length || deviation) {
+    monitorGeofences({ bus, route, geofenceEvents, deviation, busNumber: busDetails?.busNumber })
+      .catch((error) => console.error("❌ Error checking geofences:", error));
+  }
+
+  if (transition) {
+    publish(topics, {
+      type: "tripStatus",
+      scheduledBusId: bus.id,
+      from: transition.from,
+      status: transition.to,
+      at: transition.at,
+    });
+  }
+
+  if (presenceChanged) publishPresence(bus, route);
+};
+
+/**
+ * Only the trip's assigned driver may report its position; they become its connected driver
+ */
+const authorizeDriver = async (ws, scheduledBusId) => {
+  const { allowed, code, reason } = await authorizeLocationUpdate(ws.user, scheduledBusId);
+  if (!allowed) throw new ProtocolError(code, reason);
+
+  registerDriver(ws, scheduledBusId).catch((error) => console.error("❌ Error registering driver presence:", error));
+};
+
+// Driver is sending a location update
+const locationUpdate = {
+  schema: {
+    scheduledBusId: { type: "objectId", required: true },
+    ...FIX_SCHEMA,
+  },
+  handle: async (ws, payload) => {
+    const { scheduledBusId } = payload;
+    checkOccupancy(payload.occupancy);
+    await authorizeDriver(ws, scheduledBusId);
+
+    const result = await updateBusLocation(scheduledBusId, fixOf(payload));
+    if (result.rejected) {
+      return { type: "locationRejected", payload: { scheduledBusId, reason: result.rejected } };
+    }
+
+    publishLocationResult(result);
+  },
+};
+
+// Driver is flushing fixes buffered while out of coverage
+const locationBatch = {
+  schema: {
+    scheduledBusId: { type: "objectId", required: true },
+    // Changes whenever the app's sequence counter restarts, e.g. after a reinstall
+    session: { type: "string" },
+    fixes: {
+      type: "array",
+      required: true,
+      max: MAX_BATCH_SIZE,
+      // Buffered fixes are replayed at the device's own times, so every one needs its timestamp
+      items: { sequence: { type: "integer", required: true }, ...FIX_SCHEMA, timestamp: { type: "date", required: true } },
+    },
+  },
+  handle: async (ws, { scheduledBusId, session, fixes }) => {
+    fixes.forEach((fix) => checkOccupancy(fix.occupancy));
+    await authorizeDriver(ws, scheduledBusId);
+
+    const parsed = fixes.map((raw) => ({ ...fixOf(raw), sequence: raw.sequence }));
+    const batch = await applyLocationBatch(scheduledBusId, parsed, { driver: ws.user._id, session });
+    if (batch.busy) {
+      throw new ProtocolError(ERROR_CODES.INVALID_STATE, "Another batch for this trip is still being applied, resend it shortly");
+    }
+    const { sequence, results, rejected } = batch;
+
+    // Catch subscribers up on every passage, but only announce where the bus is now
+    results.forEach((result, index) => publishLocationResult(result, { announce: index === results.length - 1 }));
+
+    return {
+      type: "locationAck",
+      payload: { scheduledBusId, sequence, applied: results.length, rejected },
+    };
+  },
+};
+
+// Crew is reporting how full the bus is without a location fix
+const occupancyUpdate = {
+  schema: {
+    scheduledBusId: { type: "objectId", required: true },
+    timestamp: { type: "date" },
+    ...OCCUPANCY_SCHEMA,
+  },
+  handle: async (ws, { scheduledBusId, level, count, timestamp }) => {
+    checkOccupancy({ level, count });
+    await authorizeDriver(ws, scheduledBusId);
+
+    const result = await updateOccupancy(scheduledBusId, { level, count, timestamp: timestamp ? new Date(timestamp) : undefined });
+    if (result.rejected) {
+      return { type: "occupancyRejected", payload: { scheduledBusId, reason: result.rejected } };
+    }
+
+    const { scheduledBus, occupancy } = result;
+    publish(busTopics(scheduledBus, scheduledBus.route), { type: "occupancy", scheduledBusId, occupancy });
+  },
+};
+
+export { locationUpdate, locationBatch, occupancyUpdate };
@@ -0,0 +1,40 @@
+import ProtocolError from "../utils/ProtocolError.js";
+import { parseCoordinates, findNearbyStops, findApproachingBuses } from "../services/nearby.service.js";
+import { ERROR_CODES } from "../services/protocol.service.js";
+
+const NEARBY_SCHEMA = {
+  latitude: { type: "numeric", required: true },
+  longitude: { type: "numeric", required: true },
+  radius: { type: "numeric" },
+};
+
+const coordinatesOf = (payload) => {
+  const coordinates = parseCoordinates(payload.latitude, payload.longitude);
+  if (!coordinates) throw new ProtocolError(ERROR_CODES.INVALID_PAYLOAD, "Valid latitude and longitude are required");
+  return coordinates;
+};
+
+// Passenger is asking which stops are around them
+const nearbyStopsRequest = {
+  schema: NEARBY_SCHEMA,
+  handle: async (ws, payload) => {
+    const { latitude, longitude } = coordinatesOf(payload);
+    const stops = await findNearbyStops(latitude, longitude, payload.radius);
+    return { type: "nearbyStopsResponse", payload: { stops } };
+  },
+};
+
+// Passenger is asking which buses are coming their way
+const nearbyBusesRequest = {
+  schema: {
+    ...NEARBY_SCHEMA,
+    stopRadius: { type: "numeric" },
+  },
+  handle: async (ws, payload) => {
+    const { latitude, longitude } = coordinatesOf(payload);
+    const buses = await findApproachingBuses(latitude, longitude, payload.radius, payload.stopRadius);
+    return { type: "nearbyBusesResponse", payload: { buses } };
+  },
+};
+
+export { nearbyStopsRequest, nearbyBusesRequest };
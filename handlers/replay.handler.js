@@ -0,0 +1,35 @@
+import ScheduledBus from "../model/scheduledbus.model.js";
+import ProtocolError from "../utils/ProtocolError.js";
+import { replayTrip, stopReplay } from "../services/replay.service.js";
+import { isTripClosed } from "../services/trip.service.js";
+import { ERROR_CODES, sendError } from "../services/protocol.service.js";
+
+// Ops is replaying a finished trip
+const replayRequest = {
+  roles: ["manager", "admin"],
+  schema: {
+    scheduledBusId: { type: "objectId", required: true },
+    speed: { type: "numeric" },
+  },
+  handle: async (ws, { scheduledBusId, speed }, request) => {
+    const trip = await ScheduledBus.findById(scheduledBusId).select("status");
+    if (!trip) throw new ProtocolError(ERROR_CODES.NOT_FOUND, "Scheduled bus not found");
+    if (!isTripClosed(trip.status)) {
+      throw new ProtocolError(ERROR_CODES.INVALID_STATE, "Only finished trips can be replayed");
+    }
+
+    // Streams in the background so the socket can still send replayStop
+    replayTrip(ws, scheduledBusId, speed).catch((error) => {
+      console.error("❌ Error replaying trip:", error);
+      sendError(ws, { code: ERROR_CODES.INTERNAL_ERROR, message: "Failed to replay trip" }, request);
+    });
+  },
+};
+
+const replayStop = {
+  handle: async (ws) => {
+    stopReplay(ws);
+  },
+};
+
+export { replayRequest, replayStop };
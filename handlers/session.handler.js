@@ -0,0 +1,57 @@
+import ProtocolError from "../utils/ProtocolError.js";
+import { authenticateToken } from "../services/auth.service.js";
+import { subscribeTopic, unsubscribeTopic, MANAGER_TOPIC } from "../services/subscription.service.js";
+import { unregisterDriver } from "../services/presence.service.js";
+import { PROTOCOL_VERSIONS, ERROR_CODES, negotiateVersion } from "../services/protocol.service.js";
+
+/**
+ * Response to a token check; managers also start hearing about delays and bunching as they happen
+ * @param {WebSocket} ws
+ * @param {User|null} user
+ */
+const authResult = (ws, user) => {
+  if (!user) throw new ProtocolError(ERROR_CODES.UNAUTHENTICATED, "Invalid or expired token");
+  if (["manager", "admin"].includes(user.role)) subscribeTopic(ws, MANAGER_TOPIC);
+  return { type: "authenticated", payload: { user: { id: user.id, role: user.role } } };
+};
+
+const hello = {
+  schema: {
+    versions: { type: "array" },
+    version: { type: "integer" },
+  },
+  handle: async (ws, { versions, version }) => {
+    const offered = versions || (version ? [version] : [1]);
+    const agreed = negotiateVersion(offered);
+    if (!agreed) {
+      throw new ProtocolError(
+        ERROR_CODES.UNSUPPORTED_VERSION,
+        `No common protocol version, this server speaks ${PROTOCOL_VERSIONS.join(", ")}`
+      );
+    }
+
+    // Everything pushed to this socket from now on uses the agreed version
+    ws.protocolVersion = agreed;
+    return { type: "welcome", payload: { version: agreed, supportedVersions: PROTOCOL_VERSIONS } };
+  },
+};
+
+const auth = {
+  schema: {
+    token: { type: "string", required: true },
+  },
+  handle: async (ws, { token }) => {
+    // Whatever the previous token allowed ends here, even if the new one is rejected
+    if (ws.user) {
+      unsubscribeTopic(ws, MANAGER_TOPIC);
+      unregisterDriver(ws).catch((error) => console.error("❌ Error unregistering driver presence:", error));
+      ws.user = null;
+    }
+
+    ws.authenticating = authenticateToken(token);
+    ws.user = await ws.authenticating;
+    return authResult(ws, ws.user);
+  },
+};
+
+export { authResult, hello, auth };
@@ -0,0 +1,30 @@
+import { TOPIC_KINDS, subscribe as subscribeTo, unsubscribe as unsubscribeFrom, setLocale } from "../services/subscription.service.js";
+
+const TOPIC_SCHEMA = {
+  topic: { type: "string", required: true, enum: TOPIC_KINDS },
+  id: { type: "objectId", required: true },
+};
+
+// Passenger is subscribing to a stop, a route or a single scheduled bus
+const subscribe = {
+  schema: {
+    ...TOPIC_SCHEMA,
+    locale: { type: "string" },
+  },
+  handle: async (ws, { topic, id, locale }) => {
+    subscribeTo(ws, topic, id);
+    // Announcements for this socket are rendered in its chosen language
+    if (locale) setLocale(ws, locale);
+    return { type: "subscribed", payload: { topic, id } };
+  },
+};
+
+const unsubscribe = {
+  schema: TOPIC_SCHEMA,
+  handle: async (ws, { topic, id }) => {
+    unsubscribeFrom(ws, topic, id);
+    return { type: "unsubscribed", payload: { topic, id } };
+  },
+};
+
+export { subscribe, unsubscribe };
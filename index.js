@@ -1,217 +1,151 @@
+import "dotenv/config";
 import { WebSocketServer } from "ws";
 import express from "express";
 import http from "http";
-import ScheduledBus from "./model/scheduledbus.model.js";
-import { haversineDistance, calculateSpeed } from "./utils/time.js";
-import dotenv from "dotenv";
 import BusStop from "./model/stops.model.js";
 import connectDB from "./database.js";
+import routes from "./routes/index.js";
+import "./handlers/index.js";
+import ApiError from "./utils/ApiError.js";
+import { errorConverter, errorHandler } from "./middlewares/error.js";
+import { authResult } from "./handlers/session.handler.js";
+import { flagOverdueTrips } from "./services/trip.service.js";
+import { generateTrips } from "./services/timetable.service.js";
+import { connectPubSub } from "./services/pubsub/index.js";
+import { startLeaderElection, leaderOnly } from "./services/leader.service.js";
+import { publishPresence, unregisterDriver, flagStaleBuses } from "./services/presence.service.js";
+import { stopReplay } from "./services/replay.service.js";
+import { unsubscribeAll, publish, busTopics } from "./services/subscription.service.js";
+import { dispatch, send, sendError } from "./services/protocol.service.js";
+import { tokenFromRequest, authenticateToken } from "./services/auth.service.js";
 
 const app = express();
+app.use(express.json());
+app.use(routes);
+app.use((req, res, next) => next(new ApiError(404, "Not found")));
+app.use(errorConverter);
+app.use(errorHandler);
+
 const server = http.createServer(app);
 const wss = new WebSocketServer({ server });
-dotenv.config();
 connectDB();
+connectPubSub().catch((error) => {
+  console.error(`❌ Pub/sub connection error: ${error.message}`);
+  process.exit(1);
+});
+BusStop.backfillLocations().catch((error) => console.error("❌ Error backfilling stop locations:", error));
+
+const sendAuthResult = (ws, user) => {
+  try {
+    const { type, payload } = authResult(ws, user);
+    send(ws, type, payload);
+  } catch (error) {
+    sendError(ws, error);
+  }
+};
 
-wss.on("connection", (ws) => {
+wss.on("connection", (ws, req) => {
   console.log("🚍 Client connected for location updates");
 
+  // Answered pings and any message show the client is still there, see the heartbeat below
+  ws.isAlive = true;
+  ws.on("pong", () => {
+    ws.isAlive = true;
+  });
+
+  // Passengers connect anonymously; drivers authenticate with a token on the upgrade
+  // request or with a first `auth` message.
+  ws.user = null;
+  const handshakeToken = tokenFromRequest(req);
+  ws.authenticating = handshakeToken
+    ? authenticateToken(handshakeToken)
+      .then((user) => {
+        ws.user = user;
+        sendAuthResult(ws, user);
+      })
+      .catch((error) => console.error("❌ Error authenticating WebSocket client:", error))
+    : Promise.resolve();
+
+  // Every message type is handled by a registered handler, see handlers/index.js
   ws.on("message", async (message) => {
-    try {
-      const data = JSON.parse(message);
-
-      if (data.type === "locationUpdate") {
-        // Driver is sending a location update
-        const { scheduledBusId, latitude, longitude } = data;
-
-        if (!scheduledBusId || latitude === undefined || longitude === undefined) {
-          return ws.send(JSON.stringify({ error: "Invalid data format" }));
-        }
-
-        const updatedBus = await updateBusLocation(scheduledBusId, latitude, longitude);
-
-        const buses = await ScheduledBus.find().populate("route driver bus");
-
-        wss.clients.forEach((client) => {
-          if (client.readyState === ws.OPEN) {
-            client.send(JSON.stringify({ type: "busUpdate", buses }));
-          }
-        });
-      }
-
-      if (data.type === "busStopRequest") {
-        // Passenger is requesting buses for a specific stop
-        const { busStopId, status } = data;
-        if (!busStopId) {
-          return ws.send(JSON.stringify({ error: "Bus stop ID is required" }));
-        }
-        const options = {
-          page: 1,
-          limit: 10,
-          sortBy: 'createdAt:asc',
-          populate: 'driver,route,bus,route.stops.stopId', // Ensure stops are populated correctly
-        };
-        let schedules = await ScheduledBus.paginate({}, options);
-
-        // Populate origin and destination after querying
-        schedules.results = await ScheduledBus.populate(schedules.results, {
-          path: 'route.origin route.destination',
-          model: 'BusStop', // Ensure 'BusStop' matches your Mongoose model name
-        });
-
-        if (busStopId) {
-          schedules = schedules.results.filter((schedule) => {
-            const stopMatches = schedule.route.stops.some((stop) =>
-              stop.stopId._id.toString() === busStopId
-            );
-            return stopMatches;
-          });
-        }
-
-        if (status && status.length > 0) {
-          schedules = schedules.filter((schedule) => status.includes(schedule.status));
-        }
-
-        if (schedules.length === 0) {
-          console.log('No scheduled buses found for the provided bus stop or status.');
-        }
-
-        ws.send(JSON.stringify({ type: "busStopResponse", buses: schedules }));
-      }
-
-    } catch (error) {
-      console.error("❌ Error processing WebSocket message:", error);
-      ws.send(JSON.stringify({ error: "Failed to process request" }));
-    }
+    ws.isAlive = true;
+    // Don't act on anything until a pending token has been checked
+    await ws.authenticating.catch(() => {});
+    await dispatch(ws, message);
   });
 
   ws.on("close", () => {
+    unsubscribeAll(ws);
+    stopReplay(ws);
+    unregisterDriver(ws).catch((error) => console.error("❌ Error clearing driver presence:", error));
     console.log("❌ Client disconnected from WebSocket");
   });
 });
 
-const broadcastAnnouncements = async () => {
+const checkOverdueTrips = async () => {
   try {
-    const buses = await ScheduledBus.find({ status: "On Route" }).populate("bus route");
-    const stops = await BusStop.find();
-
-    if (buses.length === 0) return;
-
-    let announcementMessage = `📢 பயணிகளின் கவனத்திற்கு!`;
-
-    buses.forEach((bus) => {
-      const nearestStop = stops.find(stop =>
-        haversineDistance(bus.location.latitude, bus.location.longitude, stop.coordinates.lat, stop.coordinates.lng) < 0.05
-      );
-
-      if (nearestStop) {
-        announcementMessage += ` பஸ் ${bus.bus?.busNumber} தற்போது ${nearestStop.name} அருகில் உள்ளது.`;
-      }
-    });
-
-    console.log("🚍 Sending announcement:", announcementMessage);
-
-    wss.clients.forEach((client) => {
-      if (client.readyState === client.OPEN) {
-        client.send(JSON.stringify({ type: "announcement", message: announcementMessage }));
-      }
+    const trips = await flagOverdueTrips();
+    trips.forEach((trip) => {
+      console.log(`⏰ Trip ${trip.id} has not started on time`);
+      publish(busTopics(trip, trip.route), {
+        type: "tripStatus",
+        scheduledBusId: trip.id,
+        status: trip.status,
+        overdue: true,
+        at: new Date(),
+      });
     });
   } catch (error) {
-    console.error("❌ Error broadcasting announcement:", error);
+    console.error("❌ Error checking overdue trips:", error);
   }
 };
 
-// Trigger announcements every 5 minutes
-setInterval(broadcastAnnouncements, 10000);
+// Flag trips that never started once a minute
+setInterval(leaderOnly(checkOverdueTrips), 60000);
 
+const HEARTBEAT_INTERVAL = 30000;
 
-const PORT = process.env.PORT || 4000;
-server.listen(PORT, () => console.log(`🚀 Location WebSocket Server running on port ${PORT}`));
+// Drop sockets that didn't answer the last ping so they stop receiving broadcasts
+const heartbeat = setInterval(() => {
+  wss.clients.forEach((ws) => {
+    if (!ws.isAlive) return ws.terminate();
+    ws.isAlive = false;
+    ws.ping();
+  });
+}, HEARTBEAT_INTERVAL);
+wss.on("close", () => clearInterval(heartbeat));
 
-const updateBusLocation = async (scheduledBusId, latitude, longitude) => {
+const checkStaleBuses = async () => {
   try {
-    const scheduledBus = await ScheduledBus.findById(scheduledBusId)
-      .populate({
-        path: 'route',
-        populate: [
-          { path: 'origin', model: 'BusStop' },
-          { path: 'destination', model: 'BusStop' }
-        ]
-      });
-
-    if (!scheduledBus) throw new Error("Scheduled bus not found");
-
-    const { location, route, leftAt = [] } = scheduledBus;
-    if (!route || !route.origin || !route.destination || !route.stops || !route.totalDistance) {
-      throw new Error("Route data is invalid or missing required details");
-    }
-
-    const stops = await BusStop.find({ '_id': { $in: route.stops.map(stop => stop.stopId) } });
-    if (!stops.length) throw new Error("No stops found for this route");
-
-    const prevLat = location?.latitude;
-    const prevLng = location?.longitude;
-    const prevTimestamp = location.lastUpdated ? new Date(location.lastUpdated).getTime() : null;
-
-    // Distance calculations
-    const distanceFromOrigin = haversineDistance(
-      route.origin.coordinates.lat, route.origin.coordinates.lng, latitude, longitude
-    );
-
-    let remainingDistance = haversineDistance(
-      latitude, longitude, route.destination.coordinates.lat, route.destination.coordinates.lng
-    );
-
-    let completionPercentage = (distanceFromOrigin / route.totalDistance) * 100;
-    remainingDistance = Math.max(remainingDistance, 0);
-    completionPercentage = Math.max(0, Math.min(completionPercentage, 100));
+    const trips = await flagStaleBuses();
+    trips.forEach((trip) => {
+      console.log(`📵 Bus on trip ${trip.id} is ${trip.presence.state}`);
+      publishPresence(trip);
+    });
+  } catch (error) {
+    console.error("❌ Error checking for stale buses:", error);
+  }
+};
 
-    // Speed calculation
-    const speed = calculateSpeed(prevLat, prevLng, prevTimestamp, latitude, longitude);
+// Buses whose updates stopped are marked stale, then offline
+setInterval(leaderOnly(checkStaleBuses), 15000);
 
-    // Check for nearest stop
-    const THRESHOLD_DISTANCE = 0.05; // 50 meters in degrees
-    const passedStop = stops.find(stop => {
-      return haversineDistance(latitude, longitude, stop.coordinates.lat, stop.coordinates.lng) < THRESHOLD_DISTANCE;
-    });
+const TIMETABLE_DAYS_AHEAD = parseInt(process.env.TIMETABLE_DAYS_AHEAD, 10) || 7;
 
-    if (passedStop) {
-      const stopId = passedStop._id;
-
-      // Ensure stop is not already recorded
-      const alreadyRecorded = leftAt.some(entry => entry.stop.toString() === stopId.toString());
-
-      if (!alreadyRecorded) {
-        leftAt.push({
-          stop: stopId,
-          time: new Date()
-        });
-      }
-    }
-
-    // Prepare update fields
-    const updateFields = {
-      "location.latitude": latitude,
-      "location.longitude": longitude,
-      "location.lastUpdated": new Date(),
-      distanceTraveled: distanceFromOrigin.toFixed(2),
-      distanceRemaining: remainingDistance.toFixed(2),
-      journeyCompletion: completionPercentage.toFixed(2),
-      leftAt
-    };
-
-    if (speed !== null) updateFields.speed = speed;
-
-    const updatedBus = await ScheduledBus.findByIdAndUpdate(
-      scheduledBusId,
-      { $set: updateFields },
-      { new: true }
-    );
-
-    return updatedBus;
+const generateTimetableTrips = async () => {
+  try {
+    const { created } = await generateTrips({ days: TIMETABLE_DAYS_AHEAD });
+    if (created) console.log(`🗓️ Generated ${created} trips from timetables`);
   } catch (error) {
-    console.error("❌ Error updating bus location:", error.message);
-    throw new Error("Error updating bus location");
+    console.error("❌ Error generating timetable trips:", error);
   }
 };
 
+// Keep the next few days of timetabled trips materialised; generation is idempotent
+setInterval(leaderOnly(generateTimetableTrips), 60 * 60000);
+
+// Only one instance runs the periodic jobs; a new leader catches up on timetable generation straight away
+startLeaderElection({ onElected: generateTimetableTrips });
+
+const PORT = process.env.PORT || 4000;
+server.listen(PORT, () => console.log(`🚀 Location WebSocket Server running on port ${PORT}`));
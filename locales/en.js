@@ -0,0 +1,5 @@
+export default {
+  approaching: '📢 Attention passengers! Bus {busNumber} will arrive at {stopName} in {minutes} min.',
+  arrived: '📢 Attention passengers! Bus {busNumber} has arrived at {stopName}.',
+  delayed: '📢 Attention passengers! Bus {busNumber} to {stopName} is running {minutes} min late.',
+};
@@ -0,0 +1,5 @@
+export default {
+  approaching: '📢 यात्रीगण कृपया ध्यान दें! बस {busNumber} {minutes} मिनट में {stopName} पहुँचेगी।',
+  arrived: '📢 यात्रीगण कृपया ध्यान दें! बस {busNumber} {stopName} पहुँच गई है।',
+  delayed: '📢 यात्रीगण कृपया ध्यान दें! बस {busNumber} {stopName} पर {minutes} मिनट देरी से पहुँचेगी।',
+};
@@ -0,0 +1,23 @@
+import ta from './ta.js';
+import en from './en.js';
+import hi from './hi.js';
+
+const DEFAULT_LOCALE = 'ta';
+const templates = { ta, en, hi };
+const LOCALES = Object.keys(templates);
+
+const isSupportedLocale = (locale) => LOCALES.includes(locale);
+
+/**
+ * Render a message template, replacing `{name}` placeholders with values
+ * @param {string} locale - One of LOCALES, falls back to DEFAULT_LOCALE
+ * @param {string} key - Template name
+ * @param {Object} values
+ * @returns {string}
+ */
+const render = (locale, key, values) => {
+  const template = (templates[locale] || templates[DEFAULT_LOCALE])[key];
+  return template.replace(/\{(\w+)\}/g, (match, name) => (values[name] !== undefined ? values[name] : match));
+};
+
+export { DEFAULT_LOCALE, LOCALES, isSupportedLocale, render };
@@ -0,0 +1,5 @@
+export default {
+  approaching: '📢 பயணிகளின் கவனத்திற்கு! பஸ் {busNumber} இன்னும் {minutes} நிமிடங்களில் {stopName} வந்தடையும்.',
+  arrived: '📢 பயணிகளின் கவனத்திற்கு! பஸ் {busNumber} {stopName} வந்தடைந்தது.',
+  delayed: '📢 பயணிகளின் கவனத்திற்கு! பஸ் {busNumber} {stopName} வருவதற்கு {minutes} நிமிடங்கள் தாமதமாகும்.',
+};
@@ -0,0 +1,27 @@
+import ApiError from '../utils/ApiError.js';
+import { tokenFromRequest, authenticateToken } from '../services/auth.service.js';
+
+/**
+ * Require a valid access token, and optionally every listed permission from `User.permissions`
+ * @param {...string} requiredPermissions
+ */
+const auth = (...requiredPermissions) => async (req, res, next) => {
+  try {
+    const user = await authenticateToken(tokenFromRequest(req));
+    if (!user) {
+      return next(new ApiError(401, 'Please authenticate'));
+    }
+
+    const hasPermissions = requiredPermissions.every((permission) => user.permissions.includes(permission));
+    if (!hasPermissions) {
+      return next(new ApiError(403, 'Forbidden'));
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default auth;
@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+import ApiError from '../utils/ApiError.js';
+
+const errorConverter = (err, req, res, next) => {
+  let error = err;
+  if (!(error instanceof ApiError)) {
+    const statusCode = error.statusCode || (error instanceof mongoose.Error ? 400 : 500);
+    const message = error.message || 'Internal Server Error';
+    error = new ApiError(statusCode, message, false, err.stack);
+  }
+  next(error);
+};
+
+// eslint-disable-next-line no-unused-vars
+const errorHandler = (err, req, res, next) => {
+  let { statusCode, message } = err;
+  if (statusCode === 500 && !err.isOperational) {
+    message = 'Internal Server Error';
+  }
+
+  if (statusCode === 500) {
+    console.error('❌ Error handling HTTP request:', err);
+  }
+
+  res.status(statusCode).send({ code: statusCode, message });
+};
+
+export { errorConverter, errorHandler };
@@ -0,0 +1,15 @@
+import mongoose from 'mongoose';
+import ApiError from '../utils/ApiError.js';
+
+/**
+ * Reject requests whose route parameter is not a valid ObjectId before they reach Mongo.
+ * @param {string} [param]
+ */
+const validateObjectId = (param = 'id') => (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params[param])) {
+    return next(new ApiError(400, `Invalid ${param}`));
+  }
+  next();
+};
+
+export default validateObjectId;
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+import { paginate } from './plugins/index.js';
+
+const { Schema } = mongoose;
+
+const alertSchema = new Schema(
+  {
+    type: {
+      type: String,
+      enum: ['late', 'early', 'bunching', 'routeDeviation', 'geofence'],
+      required: true,
+    },
+    scheduledBus: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ScheduledBus',
+      required: true,
+    },
+    route: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Route',
+    },
+    stop: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BusStop',
+    },
+    relatedBus: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ScheduledBus', // The other trip involved, e.g. the bus ahead when bunching
+    },
+    geofence: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Geofence', // The restricted zone entered
+    },
+    minutes: {
+      type: Number, // Minutes late (positive) or early (negative), the headway when bunching, or how long off route
+    },
+    distance: {
+      type: Number, // metres off route
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+    acknowledged: {
+      type: Boolean,
+      default: false,
+    },
+    acknowledgedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    acknowledgedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+alertSchema.index({ createdAt: -1 });
+alertSchema.index({ scheduledBus: 1, type: 1 });
+
+alertSchema.plugin(paginate);
+
+export default mongoose.model('Alert', alertSchema);
@@ -25,7 +25,7 @@ const busSchema = new Schema(
     },
     passengerType: {
       type: String,
-      enum: ['Regular', 'Senior Citizen', 'Student', 'Differently-Abled'],
+      enum: ['Regular', 'Women', 'Senior Citizen', 'Student', 'Differently-Abled'],
       default: 'Regular',
     },
     specialService: {
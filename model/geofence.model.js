@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+import { paginate } from './plugins/index.js';
+
+const { Schema } = mongoose;
+
+const geofenceSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    shape: {
+      type: String,
+      enum: ['polygon', 'circle'],
+      required: true,
+    },
+    polygon: [
+      {
+        // Vertices in order, the last one joins back to the first
+        lat: { type: Number, required: true, min: -90, max: 90 },
+        lng: { type: Number, required: true, min: -180, max: 180 },
+        _id: false,
+      },
+    ],
+    center: {
+      lat: { type: Number, min: -90, max: 90 },
+      lng: { type: Number, min: -180, max: 180 },
+    },
+    radius: {
+      type: Number, // metres, for circles
+      min: 1,
+    },
+    route: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Route', // Only buses on this route are checked against the fence; every bus when unset
+    },
+    restricted: {
+      type: Boolean, // Buses entering raise an alert, e.g. a market closed to heavy vehicles
+      default: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+geofenceSchema.pre('validate', function (next) {
+  if (this.shape === 'polygon' && this.polygon.length < 3) {
+    this.invalidate('polygon', 'A polygon needs at least 3 points');
+  }
+  if (this.shape === 'circle' && (this.center?.lat === undefined || this.center?.lng === undefined || !this.radius)) {
+    this.invalidate('radius', 'A circle needs a center and a radius');
+  }
+  next();
+});
+
+geofenceSchema.plugin(paginate);
+
+export default mongoose.model('Geofence', geofenceSchema);
@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+const holidaySchema = new Schema(
+  {
+    date: {
+      type: String, // YYYY-MM-DD in the agency time zone
+      match: /^\d{4}-\d{2}-\d{2}$/,
+      required: true,
+      unique: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+export default mongoose.model('Holiday', holidaySchema);
@@ -0,0 +1,21 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// A named lock held until it expires or is released, see services/leader.service.js, services/assignment.service.js
+// and services/location.service.js
+const leaseSchema = new Schema({
+  _id: {
+    type: String, // Lease name
+  },
+  holder: {
+    type: String, // Who holds it, e.g. the INSTANCE_ID of the leader
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+export default mongoose.model('Lease', leaseSchema);
@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+const RETENTION_DAYS = parseInt(process.env.LOCATION_HISTORY_RETENTION_DAYS, 10) || 90;
+
+const locationPingSchema = new Schema(
+  {
+    timestamp: {
+      type: Date,
+      required: true,
+    },
+    scheduledBus: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ScheduledBus',
+      required: true,
+    },
+    latitude: {
+      type: Number,
+      required: true,
+    },
+    longitude: {
+      type: Number,
+      required: true,
+    },
+    speed: {
+      type: Number, // km/h
+    },
+    accuracy: {
+      type: Number, // metres, as reported by the device
+    },
+    distanceTraveled: {
+      type: Number, // km along the route
+    },
+    matchedStop: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BusStop', // Stop the bus was at when the fix was taken
+    },
+  },
+  {
+    timeseries: {
+      timeField: 'timestamp',
+      metaField: 'scheduledBus',
+      granularity: 'seconds',
+    },
+    expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60,
+    autoCreate: true,
+    versionKey: false,
+  }
+);
+
+locationPingSchema.index({ scheduledBus: 1, timestamp: 1 });
+
+export default mongoose.model('LocationPing', locationPingSchema);
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+const RETENTION_DAYS = parseInt(process.env.OCCUPANCY_HISTORY_RETENTION_DAYS, 10) || 365;
+
+const occupancyReportSchema = new Schema(
+  {
+    timestamp: {
+      type: Date,
+      required: true,
+    },
+    route: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Route',
+      required: true,
+    },
+    scheduledBus: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ScheduledBus',
+      required: true,
+    },
+    stop: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BusStop', // Last stop passed when it was reported
+    },
+    level: {
+      type: String,
+      enum: ['empty', 'seatsAvailable', 'standing', 'full'],
+      required: true,
+    },
+    count: {
+      type: Number, // Passengers on board, when counted
+    },
+  },
+  {
+    timeseries: {
+      timeField: 'timestamp',
+      metaField: 'route',
+      granularity: 'minutes',
+    },
+    expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60,
+    autoCreate: true,
+    versionKey: false,
+  }
+);
+
+occupancyReportSchema.index({ route: 1, timestamp: 1 });
+
+export default mongoose.model('OccupancyReport', occupancyReportSchema);
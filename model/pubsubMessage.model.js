@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// Relay for the Mongo pub/sub adapter; instances tail inserts with a change stream
+const pubsubMessageSchema = new Schema(
+  {
+    channel: {
+      type: String,
+      required: true,
+    },
+    message: {
+      type: Schema.Types.Mixed,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+      expires: 60, // Nobody reads old messages, keep the collection small
+    },
+  },
+  {
+    minimize: false,
+  }
+);
+
+export default mongoose.model('PubSubMessage', pubsubMessageSchema);
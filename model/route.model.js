@@ -43,6 +43,14 @@ const routeSchema = new Schema(
         }
       },
     ],
+    path: [
+      {
+        // Ordered polyline the bus drives along; when empty the stops are joined in stopOrder
+        lat: { type: Number, required: true },
+        lng: { type: Number, required: true },
+        _id: false,
+      },
+    ],
     routeType: {
       type: String,
       enum: ['Urban', 'Suburban', 'Intercity'],
@@ -52,10 +60,15 @@ const routeSchema = new Schema(
       type: Boolean,
       default: true,
     },
+    gtfsId: {
+      type: String, // route_id (plus stop pattern) in an imported GTFS feed
+    },
   },
   {
     timestamps: true,
   }
 );
 
+routeSchema.index({ gtfsId: 1 }, { unique: true, sparse: true });
+
 export default mongoose.model('Route', routeSchema);
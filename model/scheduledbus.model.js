@@ -11,12 +11,10 @@ const scheduledBusSchema = new Schema(
   {
     bus: {
       type: mongoose.Schema.Types.ObjectId,
-      required: true,
-      ref: "Bus"
+      ref: "Bus" // Unset until the trip is assigned, e.g. for trips imported from GTFS
     },
     driver: {
       type: mongoose.Schema.Types.ObjectId,
-      required: true,
       ref: "User"
     },
     route: {
@@ -49,6 +47,21 @@ const scheduledBusSchema = new Schema(
     journeyCompletion: {
       type: Number
     },
+    recentSpeeds: {
+      type: [Number], // Last few speed readings in km/h, used by the ETA engine
+      default: [],
+    },
+    stopPredictions: [
+      {
+        stop: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'BusStop',
+        },
+        eta: {
+          type: Date,
+        }
+      }
+    ],
     leftAt: [
           {
             stop: {
@@ -56,7 +69,20 @@ const scheduledBusSchema = new Schema(
               ref: 'BusStop',
             },
             time: {
+              type: Date, // When the bus left the stop
+            },
+            arrivedAt: {
               type: Date,
+            },
+            departedAt: {
+              type: Date,
+            },
+            inferred: {
+              type: Boolean, // Passed between two fixes, times are interpolated; unset when it was behind the first fix
+              default: false,
+            },
+            delayMinutes: {
+              type: Number, // Against the timetable: positive is late, negative early
             }
           }
         ],
@@ -65,10 +91,36 @@ const scheduledBusSchema = new Schema(
       enum: ['Scheduled', 'On Route', 'Completed', 'Cancelled'],
       default: 'Scheduled',
     },
+    overdue: {
+      type: Boolean, // Still Scheduled after the start grace window
+      default: false,
+    },
     comments: {
       type: String,
       default: '',
     },
+    passengerFeedback: {
+      type: [
+        {
+          rating: {
+            type: Number,
+            min: 1,
+            max: 5,
+            required: true,
+          },
+          comments: String,
+          date: {
+            type: Date,
+            default: Date.now,
+          },
+          deviceId: {
+            type: String, // Rate limits submissions, never sent to clients
+            required: true,
+          },
+        },
+      ],
+      select: false, // Managers read it through services/feedback.service.js
+    },
     location: {
       latitude: {
         type: Number,
@@ -81,9 +133,115 @@ const scheduledBusSchema = new Schema(
         max: 180,
       },
       lastUpdated: {
-        type: Date
+        type: Date // Device time of the last accepted fix
+      },
+      accuracy: {
+        type: Number // metres
       }
     },
+    occupancy: {
+      level: {
+        type: String,
+        enum: ['empty', 'seatsAvailable', 'standing', 'full'],
+      },
+      count: {
+        type: Number, // Passengers on board, when the crew counted them
+      },
+      stop: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'BusStop', // Last stop passed when it was reported
+      },
+      updatedAt: {
+        type: Date,
+      },
+    },
+    presence: {
+      state: {
+        type: String,
+        enum: ['online', 'stale', 'offline'], // How fresh `location` is, see services/presence.service.js
+      },
+      changedAt: {
+        type: Date,
+      },
+      driverConnected: {
+        type: Boolean, // A driver's socket is reporting for this trip
+        default: false,
+      },
+      connectionId: {
+        type: String, // The driver socket last registered for this trip
+      },
+    },
+    geofences: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Geofence', // Fences the bus was inside at its last fix
+      },
+    ],
+    geofenceEvents: [
+      {
+        geofence: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Geofence',
+        },
+        type: {
+          type: String,
+          enum: ['entered', 'exited'],
+        },
+        at: Date,
+        _id: false,
+      },
+    ],
+    offRoute: {
+      // The deviation in progress, see services/geofenceMonitor.service.js
+      since: Date, // First fix beyond the threshold
+      maxDistance: Number, // metres
+    },
+    deviations: [
+      {
+        // Deviations that lasted long enough to raise an alert
+        startedAt: Date,
+        endedAt: Date, // Unset while the bus is still off route
+        maxDistance: Number, // metres
+        _id: false,
+      },
+    ],
+    lastSequence: {
+      type: Number, // Highest driver sequence number applied from a locationBatch
+    },
+    sequenceSource: {
+      // Whose counter `lastSequence` belongs to; a different driver or app session starts afresh
+      driver: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      session: {
+        type: String,
+      },
+    },
+    gpsFilter: {
+      // Smoothing state carried between fixes, see services/gpsFilter.service.js
+      latitude: Number,
+      longitude: Number,
+      velocityNorth: Number, // m/s
+      velocityEast: Number, // m/s
+      variance: Number, // m², position
+      covariance: Number, // m²/s, position against velocity
+      velocityVariance: Number, // m²/s²
+      accuracy: Number,
+      timestamp: Date,
+    },
+    position: {
+      // GeoJSON copy of `location` ([lng, lat]) for geospatial queries
+      type: { type: String, enum: ['Point'] },
+      coordinates: { type: [Number], default: undefined },
+    },
+    gtfsTripId: {
+      type: String, // trip_id in an imported GTFS feed
+    },
+    timetable: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Timetable', // Set on trips generated from a recurring timetable
+    },
     realTimeTracking: {
       type: Boolean,
       default: true,
@@ -94,6 +252,19 @@ const scheduledBusSchema = new Schema(
   }
 );
 
+scheduledBusSchema.index({ position: '2dsphere' });
+scheduledBusSchema.index(
+  { gtfsTripId: 1, scheduleTime: 1 },
+  { unique: true, partialFilterExpression: { gtfsTripId: { $exists: true } } }
+);
+scheduledBusSchema.index(
+  { timetable: 1, scheduleTime: 1 },
+  { unique: true, partialFilterExpression: { timetable: { $exists: true } } }
+);
+
+scheduledBusSchema.index({ 'passengerFeedback.deviceId': 1, 'passengerFeedback.date': -1 });
+scheduledBusSchema.index({ 'passengerFeedback.date': -1 });
+
 scheduledBusSchema.plugin(paginate);
 
 export default mongoose.model('ScheduledBus', scheduledBusSchema);
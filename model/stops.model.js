@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { paginate } from './plugins/index.js';
 
 const busStopSchema = new mongoose.Schema({
   name: { type: String, required: true, trim: true },
@@ -10,8 +11,34 @@ const busStopSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
-  active: { type: Boolean, default: true }
+  // GeoJSON copy of `coordinates` ([lng, lat]) for geospatial queries, kept in sync on save
+  location: {
+    type: { type: String, enum: ['Point'] },
+    coordinates: { type: [Number], default: undefined }
+  },
+  active: { type: Boolean, default: true },
+  gtfsId: { type: String } // stop_id in an imported GTFS feed
 }, { timestamps: true });
 
+busStopSchema.index({ location: '2dsphere' });
+busStopSchema.index({ gtfsId: 1 }, { unique: true, sparse: true });
+
+busStopSchema.pre('validate', function (next) {
+  if (this.coordinates && (this.isModified('coordinates') || !this.location?.coordinates?.length)) {
+    this.location = { type: 'Point', coordinates: [this.coordinates.lng, this.coordinates.lat] };
+  }
+  next();
+});
+
+// Fill `location` on stops saved before it existed or written around the save hook
+busStopSchema.statics.backfillLocations = async function () {
+  return this.updateMany(
+    { 'location.coordinates': { $exists: false } },
+    [{ $set: { location: { type: 'Point', coordinates: ['$coordinates.lng', '$coordinates.lat'] } } }]
+  );
+};
+
+busStopSchema.plugin(paginate);
+
 const BusStop = mongoose.model('BusStop', busStopSchema);
 export default BusStop;
@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+import { paginate } from './plugins/index.js';
+
+const { Schema } = mongoose;
+
+const DEPARTURE_TIME = /^\d{1,2}:[0-5]\d$/; // HH:MM after the service day's midnight, may pass 24:00
+const SERVICE_DATE = /^\d{4}-\d{2}-\d{2}$/; // YYYY-MM-DD in the agency time zone
+
+const timetableSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    route: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Route',
+      required: true,
+    },
+    departureTimes: {
+      type: [{ type: String, match: DEPARTURE_TIME }],
+      required: true,
+    },
+    daysOfWeek: {
+      type: [String],
+      enum: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+      required: true,
+    },
+    validFrom: {
+      type: String,
+      match: SERVICE_DATE,
+      required: true,
+    },
+    validTo: {
+      type: String,
+      match: SERVICE_DATE,
+    },
+    holidayService: {
+      type: String,
+      enum: ['None', 'Regular', 'Sunday'], // On a Holiday: no trips, the usual day's trips, or the Sunday trips
+      default: 'None',
+    },
+    exceptions: [
+      {
+        date: {
+          type: String,
+          match: SERVICE_DATE,
+          required: true,
+        },
+        cancelled: {
+          type: Boolean, // No trips at all on this date
+          default: false,
+        },
+        departureTimes: {
+          type: [{ type: String, match: DEPARTURE_TIME }], // Replace the usual times; empty runs the usual times even on an off day
+          default: [],
+        },
+        reason: {
+          type: String,
+        },
+      },
+    ],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+timetableSchema.plugin(paginate);
+
+export default mongoose.model('Timetable', timetableSchema);
@@ -83,11 +83,13 @@ const userSchema = mongoose.Schema(
         'manageManagers',
         'manageRoutes',
         'manageScheduleBus',
+        'manageGeofences',
       ],
       default: function () {
-        return this.role === 'manager'
-          ? ['viewRoute', 'viewScheduledBus', 'updateLocation', 'viewAssignedBus', 'viewProfile', 'updateProfile', 'manageDrivers', 'manageRoutes', 'manageScheduleBus']
-          : ['viewRoute', 'viewScheduledBus', 'updateLocation', 'viewAssignedBus', 'viewProfile', 'updateProfile'];
+        const base = ['viewRoute', 'viewScheduledBus', 'updateLocation', 'viewAssignedBus', 'viewProfile', 'updateProfile'];
+        const manager = [...base, 'manageDrivers', 'manageRoutes', 'manageScheduleBus'];
+        if (this.role === 'admin') return [...manager, 'manageGeofences'];
+        return this.role === 'manager' ? manager : base;
       },
     },
   },
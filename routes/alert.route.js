@@ -0,0 +1,11 @@
+import express from 'express';
+import auth from '../middlewares/auth.js';
+import validateObjectId from '../middlewares/validateObjectId.js';
+import { getAlerts, acknowledge } from '../controllers/alert.controller.js';
+
+const router = express.Router();
+
+router.route('/').get(auth('manageScheduleBus'), getAlerts);
+router.route('/:id/acknowledge').patch(auth('manageScheduleBus'), validateObjectId(), acknowledge);
+
+export default router;
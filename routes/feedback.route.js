@@ -0,0 +1,10 @@
+import express from 'express';
+import auth from '../middlewares/auth.js';
+import { getFeedbackSummary, getLowRatedComments } from '../controllers/feedback.controller.js';
+
+const router = express.Router();
+
+router.route('/summary').get(auth('manageScheduleBus'), getFeedbackSummary);
+router.route('/low-rated').get(auth('manageScheduleBus'), getLowRatedComments);
+
+export default router;
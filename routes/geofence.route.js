@@ -0,0 +1,19 @@
+import express from 'express';
+import auth from '../middlewares/auth.js';
+import validateObjectId from '../middlewares/validateObjectId.js';
+import { create, getGeofences, getGeofence, update, remove } from '../controllers/geofence.controller.js';
+
+const router = express.Router();
+
+// Managers see the fences their alerts refer to; only admins draw them
+router
+  .route('/')
+  .get(auth('manageScheduleBus'), getGeofences)
+  .post(auth('manageGeofences'), create);
+router
+  .route('/:id')
+  .get(auth('manageScheduleBus'), validateObjectId(), getGeofence)
+  .patch(auth('manageGeofences'), validateObjectId(), update)
+  .delete(auth('manageGeofences'), validateObjectId(), remove);
+
+export default router;
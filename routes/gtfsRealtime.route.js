@@ -0,0 +1,10 @@
+import express from 'express';
+import { getVehiclePositions, getTripUpdates, getAlerts } from '../controllers/gtfsRealtime.controller.js';
+
+const router = express.Router();
+
+router.route('/vehicle-positions').get(getVehiclePositions);
+router.route('/trip-updates').get(getTripUpdates);
+router.route('/alerts').get(getAlerts);
+
+export default router;
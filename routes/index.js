@@ -0,0 +1,47 @@
+import express from 'express';
+import stopRoute from './stop.route.js';
+import routeRoute from './route.route.js';
+import scheduledBusRoute from './scheduledBus.route.js';
+import alertRoute from './alert.route.js';
+import gtfsRealtimeRoute from './gtfsRealtime.route.js';
+import feedbackRoute from './feedback.route.js';
+import geofenceRoute from './geofence.route.js';
+
+const router = express.Router();
+
+const defaultRoutes = [
+  {
+    path: '/stops',
+    route: stopRoute,
+  },
+  {
+    path: '/routes',
+    route: routeRoute,
+  },
+  {
+    path: '/scheduled-buses',
+    route: scheduledBusRoute,
+  },
+  {
+    path: '/alerts',
+    route: alertRoute,
+  },
+  {
+    path: '/gtfs-rt',
+    route: gtfsRealtimeRoute,
+  },
+  {
+    path: '/feedback',
+    route: feedbackRoute,
+  },
+  {
+    path: '/geofences',
+    route: geofenceRoute,
+  },
+];
+
+defaultRoutes.forEach((route) => {
+  router.use(route.path, route.route);
+});
+
+export default router;
@@ -0,0 +1,10 @@
+import express from 'express';
+import validateObjectId from '../middlewares/validateObjectId.js';
+import { getRoute, getRouteOccupancy } from '../controllers/route.controller.js';
+
+const router = express.Router();
+
+router.route('/:id').get(validateObjectId(), getRoute);
+router.route('/:id/occupancy').get(validateObjectId(), getRouteOccupancy);
+
+export default router;
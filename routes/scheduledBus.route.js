@@ -0,0 +1,28 @@
+import express from 'express';
+import auth from '../middlewares/auth.js';
+import validateObjectId from '../middlewares/validateObjectId.js';
+import {
+  getScheduledBuses,
+  getScheduledBus,
+  getNearbyScheduledBuses,
+  searchScheduledBuses,
+  getAssignmentConflicts,
+  assign,
+  autoAssign,
+} from '../controllers/scheduledBus.controller.js';
+import { rateTrip } from '../controllers/feedback.controller.js';
+
+const router = express.Router();
+
+router.route('/').get(getScheduledBuses);
+router.route('/nearby').get(getNearbyScheduledBuses);
+router.route('/search').get(searchScheduledBuses);
+router.route('/assign').post(auth('manageScheduleBus'), autoAssign);
+router.route('/:id').get(validateObjectId(), getScheduledBus);
+router
+  .route('/:id/assignment')
+  .get(auth('manageScheduleBus'), validateObjectId(), getAssignmentConflicts)
+  .patch(auth('manageScheduleBus'), validateObjectId(), assign);
+router.route('/:id/feedback').post(validateObjectId(), rateTrip);
+
+export default router;
@@ -0,0 +1,9 @@
+import express from 'express';
+import { getStops, getNearbyStops } from '../controllers/stop.controller.js';
+
+const router = express.Router();
+
+router.route('/').get(getStops);
+router.route('/nearby').get(getNearbyStops);
+
+export default router;
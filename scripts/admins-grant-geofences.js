@@ -0,0 +1,20 @@
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import connectDB from '../database.js';
+import User from '../model/user.model.js';
+
+// Usage: node scripts/admins-grant-geofences.js
+// Admins created before manageGeofences existed only have the permissions they were saved with
+try {
+  await connectDB();
+  const result = await User.updateMany(
+    { role: 'admin', permissions: { $ne: 'manageGeofences' } },
+    { $addToSet: { permissions: 'manageGeofences' } }
+  );
+  console.log(`🗺️ Granted manageGeofences to ${result.modifiedCount} admins`);
+} catch (error) {
+  console.error('❌ Granting manageGeofences failed:', error.message);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
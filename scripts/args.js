@@ -0,0 +1,20 @@
+/**
+ * Minimal `--name value` argument parsing for the command-line scripts
+ * @param {string[]} argv
+ * @returns {{positional: string[], options: Object}}
+ */
+const parseArgs = (argv) => {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+  return { positional, options };
+};
+
+export { parseArgs };
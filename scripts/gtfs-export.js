@@ -0,0 +1,27 @@
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import connectDB from '../database.js';
+import { exportFeed } from '../services/gtfs.service.js';
+import { parseArgs } from './args.js';
+
+// Usage: node scripts/gtfs-export.js <out.zip> [--from YYYY-MM-DD] [--days 7]
+const { positional: [outPath], options } = parseArgs(process.argv.slice(2));
+
+if (!outPath) {
+  console.error('Usage: node scripts/gtfs-export.js <out.zip> [--from YYYY-MM-DD] [--days 7]');
+  process.exit(1);
+}
+
+try {
+  await connectDB();
+  const result = await exportFeed(outPath, {
+    from: options.from ? new Date(options.from) : undefined,
+    days: options.days ? parseInt(options.days, 10) : undefined,
+  });
+  console.log(`📤 Exported ${result.stops} stops, ${result.routes} routes and ${result.trips} trips to ${outPath}`);
+} catch (error) {
+  console.error('❌ GTFS export failed:', error.message);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
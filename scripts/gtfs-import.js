@@ -0,0 +1,27 @@
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import connectDB from '../database.js';
+import { importFeed } from '../services/gtfs.service.js';
+import { parseArgs } from './args.js';
+
+// Usage: node scripts/gtfs-import.js <feed.zip> [--from YYYY-MM-DD] [--days 7]
+const { positional: [zipPath], options } = parseArgs(process.argv.slice(2));
+
+if (!zipPath) {
+  console.error('Usage: node scripts/gtfs-import.js <feed.zip> [--from YYYY-MM-DD] [--days 7]');
+  process.exit(1);
+}
+
+try {
+  await connectDB();
+  const result = await importFeed(zipPath, {
+    from: options.from ? new Date(options.from) : undefined,
+    days: options.days ? parseInt(options.days, 10) : undefined,
+  });
+  console.log(`📥 Imported ${result.stops} stops, ${result.routes} routes and ${result.trips} trips`);
+} catch (error) {
+  console.error('❌ GTFS import failed:', error.message);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,22 @@
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import connectDB from '../database.js';
+import { generateTrips } from '../services/timetable.service.js';
+import { parseArgs } from './args.js';
+
+// Usage: node scripts/timetable-generate.js [--from YYYY-MM-DD] [--days 7]
+const { options } = parseArgs(process.argv.slice(2));
+
+try {
+  await connectDB();
+  const result = await generateTrips({
+    from: options.from ? new Date(options.from) : undefined,
+    days: options.days ? parseInt(options.days, 10) : undefined,
+  });
+  console.log(`🗓️ ${result.timetables} timetables: ${result.created} new trips of ${result.trips}`);
+} catch (error) {
+  console.error('❌ Trip generation failed:', error.message);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,21 @@
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import connectDB from '../database.js';
+import { assignTrips } from '../services/assignment.service.js';
+import { parseArgs } from './args.js';
+
+// Usage: node scripts/trips-assign.js [--from YYYY-MM-DD] [--days 1]
+const { options } = parseArgs(process.argv.slice(2));
+
+try {
+  await connectDB();
+  const from = options.from ? new Date(options.from) : new Date();
+  const days = options.days ? parseInt(options.days, 10) : 1;
+  const result = await assignTrips({ from, to: new Date(from.getTime() + days * 24 * 60 * 60 * 1000) });
+  console.log(`🚌 Assigned ${result.assigned} trips, ${result.unassigned.length} left without a bus or driver`);
+} catch (error) {
+  console.error('❌ Trip assignment failed:', error.message);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
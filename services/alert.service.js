@@ -0,0 +1,27 @@
+import Alert from '../model/alert.model.js';
+
+/**
+ * Query for alerts
+ * @param {Object} filter - Mongo filter
+ * @param {Object} options - Query options, see the paginate plugin
+ * @returns {Promise<QueryResult>}
+ */
+const queryAlerts = async (filter, options) => {
+  return Alert.paginate(filter, { sortBy: 'createdAt:desc', ...options });
+};
+
+/**
+ * Mark an alert as seen by a manager
+ * @param {ObjectId} alertId
+ * @param {ObjectId} userId
+ * @returns {Promise<Alert|null>}
+ */
+const acknowledgeAlert = async (alertId, userId) => {
+  return Alert.findByIdAndUpdate(
+    alertId,
+    { $set: { acknowledged: true, acknowledgedBy: userId, acknowledgedAt: new Date() } },
+    { new: true }
+  );
+};
+
+export { queryAlerts, acknowledgeAlert };
@@ -0,0 +1,121 @@
+import { render } from "../locales/index.js";
+import { publishLocalized, topicKey } from "./subscription.service.js";
+import { onMessage, publishMessage } from "./pubsub/index.js";
+import { minutesUntil, scheduledStopTime } from "./eta.service.js";
+
+const APPROACH_MINUTES = 3; // announce "approaching" when the bus is this close to a stop
+const DELAY_THRESHOLD = 5; // minutes behind schedule before a stop is told about a delay
+const DELAY_STEP = 5; // a delay is announced again only when it grows by this many minutes
+const DELAY_HORIZON = 30; // minutes, only stops the bus reaches within this window hear about delays
+const DEDUP_WINDOW = 15 * 60 * 1000; // ms an identical announcement is suppressed for
+
+// dedup key -> time it was announced, shared with the other instances in case a driver reconnects elsewhere
+const recentAnnouncements = new Map();
+
+onMessage("announced", ({ key, at }) => recentAnnouncements.set(key, at));
+
+const refId = (ref) => (ref?._id || ref)?.toString();
+
+const pruneRecent = (now) => {
+  recentAnnouncements.forEach((at, key) => {
+    if (now - at > DEDUP_WINDOW) recentAnnouncements.delete(key);
+  });
+};
+
+const isDuplicate = (key, now) => {
+  const at = recentAnnouncements.get(key);
+  if (at && now - at < DEDUP_WINDOW) return true;
+  recentAnnouncements.set(key, now);
+  publishMessage("announced", { key, at: now });
+  return false;
+};
+
+/**
+ * Work out which announcements a location update warrants, one per stop and event.
+ * @param {Object} params
+ * @param {Document} params.bus - Updated scheduled bus, with `stopPredictions`
+ * @param {Document} params.route
+ * @param {Map<string, Document>} params.stopsById - BusStop documents by id
+ * @param {string} params.busNumber
+ * @param {Array} params.stopEvents - Stop passage events from this update
+ * @param {Date} [params.now]
+ * @returns {Array<{stopId: string, event: string, key: string, values: Object}>} key identifies the announcement for deduplication
+ */
+const announcementsFor = ({ bus, route, stopsById, busNumber, stopEvents = [], now = new Date() }) => {
+  const announcements = [];
+  const stopName = (stopId) => stopsById.get(refId(stopId))?.name;
+
+  stopEvents
+    .filter((event) => event.type === "arrived")
+    .forEach((event) => {
+      announcements.push({
+        stopId: refId(event.stop),
+        event: "arrived",
+        key: `${bus.id}:${refId(event.stop)}:arrived`,
+        values: { busNumber, stopName: stopName(event.stop) },
+      });
+    });
+
+  const routeStops = new Map(route.stops.map((stop) => [refId(stop.stopId), stop]));
+
+  (bus.stopPredictions || []).forEach((prediction) => {
+    const stopId = refId(prediction.stop);
+    const minutes = minutesUntil(prediction.eta, now);
+
+    if (minutes > 0 && minutes <= APPROACH_MINUTES) {
+      announcements.push({
+        stopId,
+        event: "approaching",
+        key: `${bus.id}:${stopId}:approaching`,
+        values: { busNumber, stopName: stopName(stopId), minutes },
+      });
+    }
+
+    const routeStop = routeStops.get(stopId);
+    if (!routeStop || minutes > DELAY_HORIZON) return;
+
+    const delay = Math.round((new Date(prediction.eta) - scheduledStopTime(bus, route, routeStop)) / 60000);
+    if (delay >= DELAY_THRESHOLD) {
+      announcements.push({
+        stopId,
+        event: "delayed",
+        key: `${bus.id}:${stopId}:delayed:${Math.floor(delay / DELAY_STEP)}`,
+        values: { busNumber, stopName: stopName(stopId), minutes: delay },
+      });
+    }
+  });
+
+  return announcements;
+};
+
+/**
+ * Send the announcements a location update warrants to the subscribers of each affected stop,
+ * each in the subscriber's own language, skipping anything already announced recently.
+ * @returns {number} Number of announcements sent
+ */
+const announceBusProgress = (params) => {
+  const now = Date.now();
+  pruneRecent(now);
+
+  let sent = 0;
+  announcementsFor(params).forEach(({ stopId, event, key, values }) => {
+    if (!values.stopName || isDuplicate(key, now)) return;
+
+    publishLocalized([topicKey("stop", stopId)], (locale) => ({
+      type: "announcement",
+      event,
+      stopId,
+      scheduledBusId: params.bus.id,
+      locale,
+      message: render(locale, event, values),
+    }));
+    sent++;
+  });
+
+  return sent;
+};
+
+export {
+  announcementsFor,
+  announceBusProgress,
+};
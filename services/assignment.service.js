@@ -0,0 +1,291 @@
+import { randomUUID } from 'crypto';
+import ScheduledBus from '../model/scheduledbus.model.js';
+import Bus from '../model/bus.model.js';
+import User from '../model/user.model.js';
+import Lease from '../model/lease.model.js';
+import ApiError from '../utils/ApiError.js';
+import { timeZoneOffset } from '../utils/timezone.js';
+
+const TIME_ZONE = process.env.GTFS_TIMEZONE || 'Asia/Kolkata';
+const MAX_DUTY_HOURS = parseFloat(process.env.DRIVER_MAX_DUTY_HOURS) || 8; // sign-on to sign-off
+const MIN_REST_HOURS = parseFloat(process.env.DRIVER_MIN_REST_HOURS) || 8; // a shorter gap doesn't end a duty
+const NIGHT_START_HOUR = 22; // local time, trips running between these hours need a night service bus
+const NIGHT_END_HOUR = 5;
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const BOOKING_LOOKBACK = DAY; // ms, longest trip that can still overlap a window
+const DUTY_REACH = (MAX_DUTY_HOURS + MIN_REST_HOURS) * HOUR; // ms, how far other trips can affect a duty
+
+const CLOSED_STATUSES = ['Completed', 'Cancelled'];
+const ASSIGNMENT_LOCK = 'assignments';
+const LOCK_TTL = 60 * 1000; // ms, a lock left by a crashed instance is taken over after this
+
+const tripSlot = (trip) => ({
+  trip: trip._id,
+  start: trip.scheduleTime,
+  end: new Date(trip.scheduleTime.getTime() + (trip.route?.totalDuration || 0) * 60000),
+});
+
+const formatHours = (ms) => `${Math.round((ms / HOUR) * 10) / 10}h`;
+
+/**
+ * Whether any part of a trip runs between NIGHT_START_HOUR and NIGHT_END_HOUR local time
+ */
+const isNightTrip = ({ start, end }) => {
+  const offset = timeZoneOffset(start, TIME_ZONE);
+  const localStart = start.getTime() + offset;
+  const localEnd = end.getTime() + offset;
+
+  for (let midnight = Math.floor(localStart / DAY) * DAY - DAY; midnight <= localEnd; midnight += DAY) {
+    const nightStart = midnight + NIGHT_START_HOUR * HOUR;
+    const nightEnd = midnight + DAY + NIGHT_END_HOUR * HOUR;
+    if (localStart < nightEnd && nightStart < localEnd) return true;
+  }
+  return false;
+};
+
+/**
+ * The duty a trip would belong to: it and every booking joined to it by gaps shorter than the minimum rest
+ */
+const dutyAround = (slot, bookings) => {
+  const minRest = MIN_REST_HOURS * HOUR;
+  let duty = null;
+  let found = null;
+
+  [...bookings, slot].sort((a, b) => a.start - b.start).forEach((booking) => {
+    if (!duty || booking.start - duty.signOff >= minRest) {
+      if (found) return;
+      duty = { signOn: booking.start, signOff: booking.end };
+    } else if (booking.end > duty.signOff) {
+      duty.signOff = booking.end;
+    }
+    if (booking === slot) found = duty;
+  });
+  return found;
+};
+
+const overlapping = (bookings, { start, end }) => bookings.find((booking) => booking.start < end && start < booking.end);
+
+/**
+ * Why a bus can't run a trip
+ * @param {Document|null} bus
+ * @param {{start: Date, end: Date}} slot
+ * @param {Object[]} bookings - The bus's other trips
+ * @returns {{code: string, message: string}[]}
+ */
+const busConflicts = (bus, slot, bookings) => {
+  if (!bus) return [{ code: 'busNotFound', message: 'Bus not found' }];
+
+  const conflicts = [];
+  const clash = overlapping(bookings, slot);
+  if (clash) {
+    conflicts.push({ code: 'busDoubleBooked', message: `Bus ${bus.busNumber} is already on another trip`, scheduledBus: clash.trip });
+  }
+  if (!bus.isNightService && isNightTrip(slot)) {
+    conflicts.push({ code: 'busNotNightService', message: `Bus ${bus.busNumber} is not cleared for night service` });
+  }
+  return conflicts;
+};
+
+/**
+ * Why a driver can't run a trip
+ * @param {Document|null} driver
+ * @param {{start: Date, end: Date}} slot
+ * @param {Object[]} bookings - The driver's other trips
+ * @returns {{code: string, message: string}[]}
+ */
+const driverConflicts = (driver, slot, bookings) => {
+  if (!driver) return [{ code: 'driverNotFound', message: 'Driver not found' }];
+  if (driver.role !== 'driver') return [{ code: 'notADriver', message: 'User is not a driver' }];
+
+  const conflicts = [];
+  if (!driver.isActive) conflicts.push({ code: 'driverInactive', message: 'Driver is inactive' });
+  if (driver.isBlocked) conflicts.push({ code: 'driverBlocked', message: 'Driver is blocked' });
+
+  const clash = overlapping(bookings, slot);
+  if (clash) {
+    conflicts.push({ code: 'driverDoubleBooked', message: 'Driver is already on another trip', scheduledBus: clash.trip });
+  } else {
+    const { signOn, signOff } = dutyAround(slot, bookings);
+    if (signOff - signOn > MAX_DUTY_HOURS * HOUR) {
+      conflicts.push({
+        code: 'dutyHoursExceeded',
+        message: `Duty of ${formatHours(signOff - signOn)} without ${MIN_REST_HOURS}h of rest exceeds ${MAX_DUTY_HOURS}h`,
+      });
+    }
+  }
+  return conflicts;
+};
+
+/**
+ * Time slots each bus and driver is booked for, keyed by id
+ * @param {Date} from
+ * @param {Date} to
+ * @param {ObjectId} [excludeTrip] - Leave out the trip being (re)assigned
+ */
+const loadBookings = async (from, to, excludeTrip) => {
+  const filter = {
+    status: { $ne: 'Cancelled' },
+    scheduleTime: { $gte: new Date(from.getTime() - BOOKING_LOOKBACK - DUTY_REACH), $lt: new Date(to.getTime() + DUTY_REACH) },
+    $or: [{ bus: { $ne: null } }, { driver: { $ne: null } }],
+  };
+  if (excludeTrip) filter._id = { $ne: excludeTrip };
+  const trips = await ScheduledBus.find(filter).populate('route', 'totalDuration');
+
+  const bookings = new Map();
+  const book = (id, slot) => {
+    const key = id.toString();
+    if (!bookings.has(key)) bookings.set(key, []);
+    bookings.get(key).push(slot);
+  };
+  trips.forEach((trip) => {
+    const slot = tripSlot(trip);
+    if (trip.bus) book(trip.bus, slot);
+    if (trip.driver) book(trip.driver, slot);
+  });
+  return { bookingsOf: (resource) => bookings.get(resource._id.toString()) || [], book };
+};
+
+/**
+ * Run checks and writes while holding the assignment lock (a Lease shared by every instance), so two
+ * assignments can't both pass the checks and double-book the same bus or driver.
+ * @param {function(): Promise} work
+ * @throws {ApiError} 409 when another assignment holds the lock
+ */
+const withAssignmentLock = async (work) => {
+  const holder = randomUUID();
+  const now = new Date();
+  try {
+    await Lease.findOneAndUpdate(
+      { _id: ASSIGNMENT_LOCK, expiresAt: { $lt: now } },
+      { $set: { holder, expiresAt: new Date(now.getTime() + LOCK_TTL) } },
+      { upsert: true }
+    );
+  } catch (error) {
+    if (error.code === 11000) throw new ApiError(409, 'Another assignment is being saved, try again');
+    throw error;
+  }
+
+  try {
+    return await work();
+  } finally {
+    await Lease.deleteOne({ _id: ASSIGNMENT_LOCK, holder });
+  }
+};
+
+/**
+ * Check a bus and/or driver against a trip without assigning them
+ * @param {ObjectId} tripId
+ * @param {Object} assignment
+ * @param {ObjectId} [assignment.bus]
+ * @param {ObjectId} [assignment.driver]
+ * @returns {Promise<{trip: Document, conflicts: Object[]}|null>} null when the trip doesn't exist
+ */
+const checkAssignment = async (tripId, { bus, driver }) => {
+  const trip = await ScheduledBus.findById(tripId).populate('route', 'totalDuration');
+  if (!trip) return null;
+  if (CLOSED_STATUSES.includes(trip.status)) {
+    return { trip, conflicts: [{ code: 'tripClosed', message: `Trip is ${trip.status}` }] };
+  }
+
+  const slot = tripSlot(trip);
+  const [busDoc, driverDoc, { bookingsOf }] = await Promise.all([
+    bus ? Bus.findById(bus) : null,
+    driver ? User.findById(driver) : null,
+    loadBookings(slot.start, slot.end, trip._id),
+  ]);
+
+  const conflicts = [];
+  if (bus) conflicts.push(...busConflicts(busDoc, slot, busDoc ? bookingsOf(busDoc) : []));
+  if (driver) conflicts.push(...driverConflicts(driverDoc, slot, driverDoc ? bookingsOf(driverDoc) : []));
+  return { trip, conflicts };
+};
+
+/**
+ * Assign a bus and/or driver to a trip if nothing conflicts
+ * @param {ObjectId} tripId
+ * @param {Object} assignment
+ * @param {ObjectId} [assignment.bus]
+ * @param {ObjectId} [assignment.driver]
+ * @returns {Promise<{trip: Document, conflicts: Object[]}|null>} the updated trip when there are no conflicts
+ * @throws {ApiError} 409 when another assignment is being saved
+ */
+const assignTrip = async (tripId, assignment) => withAssignmentLock(async () => {
+  const result = await checkAssignment(tripId, assignment);
+  if (!result || result.conflicts.length) return result;
+
+  const fields = {};
+  if (assignment.bus) fields.bus = assignment.bus;
+  if (assignment.driver) fields.driver = assignment.driver;
+  const trip = await ScheduledBus.findOneAndUpdate(
+    { _id: tripId, status: { $nin: CLOSED_STATUSES } },
+    { $set: fields },
+    { new: true }
+  );
+  if (!trip) return { trip: result.trip, conflicts: [{ code: 'tripClosed', message: 'Trip closed while assigning' }] };
+  return { trip, conflicts: [] };
+});
+
+/**
+ * Allocate a bus and a driver to Scheduled trips in a window that are missing either.
+ * Trips are filled in departure order with the first bus and driver that pass the same checks
+ * as a manual assignment; trips nobody is free for are left unassigned.
+ * @param {Object} [options]
+ * @param {Date} [options.from] - Earliest departure (default = now)
+ * @param {Date} [options.to] - Latest departure (default = a day after `from`)
+ * @returns {Promise<{assigned: number, unassigned: ObjectId[]}>}
+ * @throws {ApiError} 409 when another assignment is being saved
+ */
+const assignTrips = async ({ from = new Date(), to } = {}) => withAssignmentLock(async () => {
+  const end = to || new Date(from.getTime() + DAY);
+
+  const [trips, buses, drivers, { bookingsOf, book }] = await Promise.all([
+    ScheduledBus.find({
+      status: 'Scheduled',
+      scheduleTime: { $gte: from, $lt: end },
+      $or: [{ bus: null }, { driver: null }],
+    })
+      .populate('route', 'totalDuration')
+      .sort('scheduleTime'),
+    Bus.find().sort('busNumber'),
+    User.find({ role: 'driver', isActive: true, isBlocked: false }).sort('createdAt'),
+    loadBookings(from, end),
+  ]);
+
+  const writes = [];
+  const unassigned = [];
+  trips.forEach((trip) => {
+    const slot = tripSlot(trip);
+    const bus = trip.bus ? null : buses.find((candidate) => !busConflicts(candidate, slot, bookingsOf(candidate)).length);
+    const driver = trip.driver ? null : drivers.find((candidate) => !driverConflicts(candidate, slot, bookingsOf(candidate)).length);
+
+    if ((!trip.bus && !bus) || (!trip.driver && !driver)) {
+      unassigned.push(trip._id);
+      return;
+    }
+
+    const fields = {};
+    if (bus) {
+      fields.bus = bus._id;
+      book(bus._id, slot);
+    }
+    if (driver) {
+      fields.driver = driver._id;
+      book(driver._id, slot);
+    }
+    writes.push({ updateOne: { filter: { _id: trip._id, status: 'Scheduled' }, update: { $set: fields } } });
+  });
+
+  if (writes.length) await ScheduledBus.bulkWrite(writes);
+  return { assigned: writes.length, unassigned };
+});
+
+export {
+  isNightTrip,
+  busConflicts,
+  driverConflicts,
+  checkAssignment,
+  assignTrip,
+  assignTrips,
+};
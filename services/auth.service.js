@@ -0,0 +1,69 @@
+import jwt from "jsonwebtoken";
+import User from "../model/user.model.js";
+import ScheduledBus from "../model/scheduledbus.model.js";
+
+/**
+ * Pull a bearer token off the WebSocket upgrade request.
+ * Accepts `Authorization: Bearer <token>` or a `?token=<token>` query parameter,
+ * since browsers cannot set headers on a WebSocket handshake.
+ * @param {http.IncomingMessage} req
+ * @returns {string|null}
+ */
+const tokenFromRequest = (req) => {
+  const header = req.headers?.authorization;
+  if (header && header.startsWith("Bearer ")) return header.slice(7).trim();
+
+  const { searchParams } = new URL(req.url, "http://localhost");
+  return searchParams.get("token");
+};
+
+/**
+ * Resolve an access token issued by the TNSTC API to an active, unblocked user.
+ * @param {string} token
+ * @returns {Promise<User|null>}
+ */
+const authenticateToken = async (token) => {
+  if (!token) return null;
+
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+
+  if (payload.type && payload.type !== "access") return null;
+
+  const user = await User.findById(payload.sub);
+  if (!user || !user.isActive || user.isBlocked) return null;
+
+  return user;
+};
+
+/**
+ * Check that a user may push location updates for a scheduled bus:
+ * they need the `updateLocation` permission and must be the trip's assigned driver.
+ * @param {User} user
+ * @param {string} scheduledBusId
+ * @returns {Promise<{allowed: boolean, code?: string, reason?: string}>} code is a protocol error code
+ */
+const authorizeLocationUpdate = async (user, scheduledBusId) => {
+  if (!user) return { allowed: false, code: "UNAUTHENTICATED", reason: "Authentication required" };
+  if (!user.permissions.includes("updateLocation")) {
+    return { allowed: false, code: "FORBIDDEN", reason: "Missing updateLocation permission" };
+  }
+
+  const scheduledBus = await ScheduledBus.findById(scheduledBusId).select("driver");
+  if (!scheduledBus) return { allowed: false, code: "NOT_FOUND", reason: "Scheduled bus not found" };
+  if (!scheduledBus.driver || !scheduledBus.driver.equals(user._id)) {
+    return { allowed: false, code: "FORBIDDEN", reason: "You are not the driver assigned to this bus" };
+  }
+
+  return { allowed: true };
+};
+
+export {
+  tokenFromRequest,
+  authenticateToken,
+  authorizeLocationUpdate,
+};
@@ -0,0 +1,205 @@
+import ScheduledBus from "../model/scheduledbus.model.js";
+import { calculateScheduledArrival } from "../utils/time.js";
+
+const HISTORY_TRIPS = 20; // completed trips used to learn segment speeds
+const HISTORY_TTL = 15 * 60 * 1000; // how long learned segment speeds are cached per route
+const MIN_SPEED = 5; // km/h, floor so a stationary bus doesn't produce an infinite ETA
+const MAX_SPEED = 120; // km/h, historical samples above this are treated as bad data
+const LIVE_SPEED_HORIZON = 5; // km, live speed influence halves roughly every 3.5 km ahead
+const RECENT_SPEED_SAMPLES = 10;
+
+// routeId -> { at, speeds }
+const historyCache = new Map();
+
+const refId = (ref) => (ref?._id || ref)?.toString();
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const orderedStops = (route) => [...route.stops].sort((a, b) => a.stopOrder - b.stopOrder);
+
+const routeAverageSpeed = (route) => route.totalDistance / (route.totalDuration / 60);
+
+/**
+ * Median speed of each stop-to-stop segment over a set of completed trips.
+ * A passage counts from when the bus reached the stop, or left it when no arrival was seen;
+ * the destination passage only ever has an arrival, as the trip completes there.
+ * @param {Array} stops - Route stops in stopOrder
+ * @param {Array<{leftAt: Array}>} trips
+ * @returns {Array<number|null>} `speeds[i]` is km/h for the segment ending at the i-th stop, null when there is no data
+ */
+const learnSegmentSpeeds = (stops, trips) => {
+  const indexByStop = new Map(stops.map((stop, index) => [refId(stop.stopId), index]));
+  const samples = stops.map(() => []);
+
+  trips.forEach((trip) => {
+    const passages = trip.leftAt
+      .map((entry) => ({ entry, time: entry.arrivedAt ?? entry.time }))
+      .filter(({ entry, time }) => time && indexByStop.has(refId(entry.stop)))
+      .map(({ entry, time }) => ({ index: indexByStop.get(refId(entry.stop)), time: new Date(time).getTime() }))
+      .sort((a, b) => a.index - b.index);
+
+    for (let i = 1; i < passages.length; i++) {
+      const from = passages[i - 1];
+      const to = passages[i];
+      const distance = stops[to.index].distanceFromOrigin - stops[from.index].distanceFromOrigin;
+      const hours = (to.time - from.time) / 3600000;
+      if (distance <= 0 || hours <= 0) continue;
+
+      const speed = distance / hours;
+      if (speed > MAX_SPEED) continue;
+
+      // A skipped stop in between gets the same average speed as the span it sits in
+      for (let index = from.index + 1; index <= to.index; index++) samples[index].push(speed);
+    }
+  });
+
+  return samples.map((list) => (list.length ? median(list) : null));
+};
+
+/**
+ * Learn the typical speed of each stop-to-stop segment from the passages of recently completed trips.
+ * @param {Document} route
+ * @returns {Promise<Array<number|null>>} See learnSegmentSpeeds
+ */
+const historicalSegmentSpeeds = async (route) => {
+  const cached = historyCache.get(refId(route));
+  if (cached && Date.now() - cached.at < HISTORY_TTL) return cached.speeds;
+
+  const trips = await ScheduledBus.find({ route: route._id, status: "Completed", "leftAt.1": { $exists: true } })
+    .sort({ scheduleTime: -1 })
+    .limit(HISTORY_TRIPS)
+    .select("leftAt");
+
+  const speeds = learnSegmentSpeeds(orderedStops(route), trips);
+  historyCache.set(refId(route), { at: Date.now(), speeds });
+  return speeds;
+};
+
+/**
+ * Average of recent speed readings while the bus was actually moving.
+ * @param {number[]} speeds
+ * @returns {number|null}
+ */
+const liveSpeed = (speeds = []) => {
+  const moving = speeds.filter((speed) => speed >= MIN_SPEED);
+  if (!moving.length) return null;
+  return moving.reduce((sum, speed) => sum + speed, 0) / moving.length;
+};
+
+/**
+ * Predict arrival at every upcoming stop of a route.
+ * Near stops lean on the bus's live speed, further stops on historical segment speeds,
+ * falling back to the route's scheduled average speed.
+ * @param {Document} route - Route with `stops[]`, `totalDistance` and `totalDuration`
+ * @param {Object} state
+ * @param {number} state.position - Distance travelled along the route in km
+ * @param {number[]} [state.speeds] - Recent speed readings in km/h
+ * @param {Array} [state.leftAt] - Stops already passed
+ * @param {Date} state.startTime - When the bus is (or will be) at `position`
+ * @param {boolean} [state.includeCurrent] - Include a stop sitting exactly at `position` (e.g. origin before departure)
+ * @returns {Promise<Array<{stop: ObjectId, stopOrder: number, distanceFromOrigin: number, eta: Date}>>}
+ */
+const predictArrivals = async (route, { position, speeds, leftAt = [], startTime, includeCurrent = false }) => {
+  const stops = orderedStops(route);
+  const history = await historicalSegmentSpeeds(route);
+  const fallback = routeAverageSpeed(route);
+  const live = liveSpeed(speeds);
+  const passed = new Set(leftAt.map((entry) => refId(entry.stop)));
+
+  const predictions = [];
+  let cursor = position;
+  let elapsedHours = 0;
+
+  stops.forEach((stop, index) => {
+    const ahead = stop.distanceFromOrigin - position;
+    if (ahead < 0 || (ahead === 0 && !includeCurrent) || passed.has(refId(stop.stopId))) return;
+
+    const weight = live ? Math.exp(-(cursor - position) / LIVE_SPEED_HORIZON) : 0;
+    const segmentSpeed = history[index] ?? fallback;
+    const speed = Math.max(MIN_SPEED, weight * live + (1 - weight) * segmentSpeed);
+
+    elapsedHours += (stop.distanceFromOrigin - cursor) / speed;
+    cursor = stop.distanceFromOrigin;
+
+    predictions.push({
+      stop: stop.stopId._id || stop.stopId,
+      stopOrder: stop.stopOrder,
+      distanceFromOrigin: stop.distanceFromOrigin,
+      eta: new Date(startTime.getTime() + elapsedHours * 3600000),
+    });
+  });
+
+  return predictions;
+};
+
+/**
+ * Predict arrivals for a scheduled bus from what is stored on it.
+ * A trip that hasn't reported a position yet is assumed to leave the origin at `scheduleTime`.
+ * @param {Document} scheduledBus
+ * @param {Document} route
+ * @param {Date} [now]
+ */
+const predictForBus = (scheduledBus, route, now = new Date()) => {
+  const started = scheduledBus.location?.lastUpdated && scheduledBus.distanceTraveled !== undefined;
+  if (started) {
+    return predictArrivals(route, {
+      position: scheduledBus.distanceTraveled,
+      speeds: scheduledBus.recentSpeeds,
+      leftAt: scheduledBus.leftAt,
+      startTime: now,
+    });
+  }
+
+  const departure = new Date(scheduledBus.scheduleTime);
+  return predictArrivals(route, {
+    position: 0,
+    startTime: departure > now ? departure : now,
+    includeCurrent: true,
+  });
+};
+
+const scheduledArrivalFor = (scheduledBus, route) =>
+  new Date(calculateScheduledArrival(scheduledBus.scheduleTime, route.totalDistance, routeAverageSpeed(route)));
+
+/**
+ * When the timetable says a trip should reach a stop: its departure plus the route's average running time.
+ * @param {Document} scheduledBus
+ * @param {Document} route
+ * @param {{distanceFromOrigin: number}} stop - Entry from `route.stops`
+ * @returns {Date}
+ */
+const scheduledStopTime = (scheduledBus, route, stop) =>
+  new Date(calculateScheduledArrival(scheduledBus.scheduleTime, stop.distanceFromOrigin, routeAverageSpeed(route)));
+
+const minutesUntil = (eta, now = new Date()) => Math.max(0, Math.round((new Date(eta) - now) / 60000));
+
+const describeArrival = (minutes) => (minutes === 0 ? "arriving now" : `arrives in ${minutes} min`);
+
+/**
+ * Predicted arrival of a scheduled bus at one stop, shaped for passengers.
+ * @returns {Promise<{eta: Date, minutes: number, message: string}|null>} null when the bus has already passed the stop
+ */
+const arrivalAtStop = async (scheduledBus, route, stopId, now = new Date()) => {
+  const predictions = await predictForBus(scheduledBus, route, now);
+  const prediction = predictions.find((entry) => refId(entry.stop) === stopId.toString());
+  if (!prediction) return null;
+
+  const minutes = minutesUntil(prediction.eta, now);
+  return { eta: prediction.eta, minutes, message: describeArrival(minutes) };
+};
+
+export {
+  RECENT_SPEED_SAMPLES,
+  learnSegmentSpeeds,
+  predictArrivals,
+  predictForBus,
+  scheduledArrivalFor,
+  scheduledStopTime,
+  arrivalAtStop,
+  minutesUntil,
+  describeArrival,
+};
@@ -0,0 +1,155 @@
+import ScheduledBus from '../model/scheduledbus.model.js';
+import Bus from '../model/bus.model.js';
+import Route from '../model/route.model.js';
+import User from '../model/user.model.js';
+import ApiError from '../utils/ApiError.js';
+
+const DAILY_LIMIT = parseInt(process.env.FEEDBACK_DAILY_LIMIT, 10) || 5; // submissions per device per day
+const FEEDBACK_WINDOW_DAYS = 7; // a trip can be rated this long after it was scheduled
+const DAY = 24 * 60 * 60 * 1000;
+
+const GROUPS = {
+  bus: { model: Bus, label: (bus) => bus.busNumber },
+  route: { model: Route, label: (route) => route.routeName },
+  driver: { model: User, label: (user) => `${user.firstName} ${user.lastName}` },
+};
+
+const dateRange = ({ from, to }) => {
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+  return Object.keys(range).length ? { 'passengerFeedback.date': range } : {};
+};
+
+/**
+ * How many ratings a device has submitted since a given time
+ * @param {string} deviceId
+ * @param {Date} since
+ * @returns {Promise<number>}
+ */
+const countDeviceFeedback = async (deviceId, since) => {
+  const [{ count = 0 } = {}] = await ScheduledBus.aggregate([
+    { $match: { 'passengerFeedback.deviceId': deviceId, 'passengerFeedback.date': { $gte: since } } },
+    { $unwind: '$passengerFeedback' },
+    { $match: { 'passengerFeedback.deviceId': deviceId, 'passengerFeedback.date': { $gte: since } } },
+    { $count: 'count' },
+  ]);
+  return count;
+};
+
+/**
+ * Rate a completed trip. The rating is kept on the trip and on the bus that ran it.
+ * A device can rate a trip once, and only DAILY_LIMIT trips a day.
+ * @param {ObjectId} tripId
+ * @param {string} deviceId
+ * @param {Object} feedback
+ * @param {number} feedback.rating - 1 to 5
+ * @param {string} [feedback.comments]
+ * @returns {Promise<{rating: number, comments?: string, date: Date}>}
+ */
+const submitFeedback = async (tripId, deviceId, { rating, comments }) => {
+  const trip = await ScheduledBus.findById(tripId).select('status scheduleTime bus');
+  if (!trip) {
+    throw new ApiError(404, 'Scheduled bus not found');
+  }
+  if (trip.status !== 'Completed') {
+    throw new ApiError(400, 'Only completed trips can be rated');
+  }
+  if (Date.now() - trip.scheduleTime.getTime() > FEEDBACK_WINDOW_DAYS * DAY) {
+    throw new ApiError(400, 'This trip can no longer be rated');
+  }
+  if ((await countDeviceFeedback(deviceId, new Date(Date.now() - DAY))) >= DAILY_LIMIT) {
+    throw new ApiError(429, 'Too many ratings from this device today');
+  }
+
+  const entry = { rating, comments, date: new Date() };
+  const result = await ScheduledBus.updateOne(
+    { _id: trip._id, 'passengerFeedback.deviceId': { $ne: deviceId } },
+    { $push: { passengerFeedback: { ...entry, deviceId } } },
+    { runValidators: true }
+  );
+  if (!result.modifiedCount) {
+    throw new ApiError(409, 'This device has already rated the trip');
+  }
+
+  if (trip.bus) {
+    await Bus.updateOne({ _id: trip.bus }, { $push: { passengerFeedback: entry } });
+  }
+  return entry;
+};
+
+/**
+ * Average rating per bus, route or driver, lowest first
+ * @param {string} groupBy - bus, route or driver
+ * @param {Object} [range]
+ * @param {Date} [range.from]
+ * @param {Date} [range.to]
+ * @returns {Promise<Array<{id: ObjectId, name: string, averageRating: number, count: number}>>}
+ */
+const summarizeFeedback = async (groupBy, range = {}) => {
+  const dateFilter = dateRange(range);
+  const groups = await ScheduledBus.aggregate([
+    { $match: { 'passengerFeedback.0': { $exists: true }, [groupBy]: { $ne: null }, ...dateFilter } },
+    { $unwind: '$passengerFeedback' },
+    { $match: dateFilter },
+    { $group: { _id: `$${groupBy}`, averageRating: { $avg: '$passengerFeedback.rating' }, count: { $sum: 1 } } },
+    { $sort: { averageRating: 1, count: -1 } },
+  ]);
+
+  const { model, label } = GROUPS[groupBy];
+  const docs = await model.find({ _id: { $in: groups.map((group) => group._id) } });
+  const names = new Map(docs.map((doc) => [doc._id.toString(), label(doc)]));
+
+  return groups.map((group) => ({
+    id: group._id,
+    name: names.get(group._id.toString()),
+    averageRating: Math.round(group.averageRating * 100) / 100,
+    count: group.count,
+  }));
+};
+
+/**
+ * Most recent ratings at or below a threshold that came with a comment
+ * @param {Object} [options]
+ * @param {number} [options.maxRating] - (default = 2)
+ * @param {Date} [options.from]
+ * @param {Date} [options.to]
+ * @param {number} [options.limit] - (default = 20)
+ * @returns {Promise<Array>}
+ */
+const queryLowRatedComments = async ({ maxRating = 2, from, to, limit = 20 } = {}) => {
+  const filter = {
+    ...dateRange({ from, to }),
+    'passengerFeedback.rating': { $lte: maxRating },
+    'passengerFeedback.comments': { $nin: [null, ''] },
+  };
+
+  const comments = await ScheduledBus.aggregate([
+    { $match: filter },
+    { $unwind: '$passengerFeedback' },
+    { $match: filter },
+    { $sort: { 'passengerFeedback.date': -1 } },
+    { $limit: limit },
+    {
+      $project: {
+        _id: 0,
+        scheduledBus: '$_id',
+        scheduleTime: 1,
+        bus: 1,
+        route: 1,
+        driver: 1,
+        rating: '$passengerFeedback.rating',
+        comments: '$passengerFeedback.comments',
+        date: '$passengerFeedback.date',
+      },
+    },
+  ]);
+
+  return ScheduledBus.populate(comments, [
+    { path: 'bus', select: 'busNumber busName' },
+    { path: 'route', select: 'routeName' },
+    { path: 'driver', select: 'firstName lastName' },
+  ]);
+};
+
+export { submitFeedback, summarizeFeedback, queryLowRatedComments };
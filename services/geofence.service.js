@@ -0,0 +1,67 @@
+import Geofence from '../model/geofence.model.js';
+import { invalidateGeofences } from './geofenceMonitor.service.js';
+
+/**
+ * Create a geofence
+ * @param {Object} body
+ * @returns {Promise<Geofence>}
+ */
+const createGeofence = async (body) => {
+  const geofence = await Geofence.create(body);
+  invalidateGeofences();
+  return geofence;
+};
+
+/**
+ * Query for geofences
+ * @param {Object} filter - Mongo filter
+ * @param {Object} options - Query options, see the paginate plugin
+ * @returns {Promise<QueryResult>}
+ */
+const queryGeofences = async (filter, options) => {
+  return Geofence.paginate(filter, options);
+};
+
+/**
+ * Get a geofence by id
+ * @param {ObjectId} id
+ * @returns {Promise<Geofence|null>}
+ */
+const getGeofenceById = async (id) => {
+  return Geofence.findById(id);
+};
+
+/**
+ * Update a geofence, validating its shape as a whole
+ * @param {ObjectId} id
+ * @param {Object} body
+ * @returns {Promise<Geofence|null>}
+ */
+const updateGeofenceById = async (id, body) => {
+  const geofence = await Geofence.findById(id);
+  if (!geofence) return null;
+
+  Object.assign(geofence, body);
+  await geofence.save();
+  invalidateGeofences();
+  return geofence;
+};
+
+/**
+ * Delete a geofence
+ * @param {ObjectId} id
+ * @returns {Promise<Geofence|null>}
+ */
+const deleteGeofenceById = async (id) => {
+  const geofence = await Geofence.findByIdAndDelete(id);
+  if (geofence) invalidateGeofences();
+  return geofence;
+};
+
+export {
+  createGeofence,
+  queryGeofences,
+  getGeofenceById,
+  updateGeofenceById,
+  deleteGeofenceById,
+};
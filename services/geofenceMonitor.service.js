@@ -0,0 +1,185 @@
+import Alert from "../model/alert.model.js";
+import Geofence from "../model/geofence.model.js";
+import { haversineDistance } from "../utils/time.js";
+import { publish, MANAGER_TOPIC } from "./subscription.service.js";
+import { onMessage, publishMessage } from "./pubsub/index.js";
+
+const DEVIATION_METRES = parseInt(process.env.ROUTE_DEVIATION_METRES, 10) || 200;
+const DEVIATION_SECONDS = parseInt(process.env.ROUTE_DEVIATION_SECONDS, 10) || 120;
+const CACHE_TTL = 60 * 1000; // ms, active fences are reloaded at least this often
+
+// Active fences, loaded on demand and dropped whenever a manager edits one on any instance
+let cache = null;
+
+onMessage("geofencesChanged", () => {
+  cache = null;
+});
+
+const refId = (ref) => (ref?._id || ref)?.toString();
+
+/**
+ * Drop the cached fences here and on the other instances after a fence is created, edited or removed
+ */
+const invalidateGeofences = () => {
+  cache = null;
+  publishMessage("geofencesChanged", {});
+};
+
+const activeGeofences = async () => {
+  if (!cache || Date.now() - cache.loadedAt > CACHE_TTL) {
+    cache = { loadedAt: Date.now(), fences: await Geofence.find({ isActive: true }).lean() };
+  }
+  return cache.fences;
+};
+
+/**
+ * Ray casting on raw coordinates, fine for fences a few kilometres across
+ */
+const insidePolygon = (polygon, latitude, longitude) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if (a.lat > latitude !== b.lat > latitude &&
+      longitude < ((b.lng - a.lng) * (latitude - a.lat)) / (b.lat - a.lat) + a.lng) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+/**
+ * Whether a point lies in a circle or polygon fence
+ * @param {Object} fence
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {boolean}
+ */
+const isInside = (fence, latitude, longitude) => (fence.shape === "circle"
+  ? haversineDistance(fence.center.lat, fence.center.lng, latitude, longitude) * 1000 <= fence.radius
+  : insidePolygon(fence.polygon, latitude, longitude));
+
+/**
+ * Work out which fences a bus is in after a fix and which it entered or left since the last one.
+ * Fences linked to a route only apply to buses on that route.
+ * @param {Document} scheduledBus - Before the fix is applied
+ * @param {{latitude: number, longitude: number, at: Date}} fix
+ * @returns {Promise<{inside: ObjectId[], events: Array<{type: string, geofence: Object, at: Date}>}>}
+ */
+const evaluateGeofences = async (scheduledBus, { latitude, longitude, at }) => {
+  const fences = (await activeGeofences()).filter((fence) => !fence.route || refId(fence.route) === refId(scheduledBus.route));
+  const inside = fences.filter((fence) => isInside(fence, latitude, longitude));
+
+  const was = new Set((scheduledBus.geofences || []).map(refId));
+  const now = new Set(inside.map(refId));
+  const events = [
+    ...inside.filter((fence) => !was.has(refId(fence))).map((geofence) => ({ type: "entered", geofence, at })),
+    ...fences.filter((fence) => was.has(refId(fence)) && !now.has(refId(fence))).map((geofence) => ({ type: "exited", geofence, at })),
+  ];
+
+  return { inside: inside.map((fence) => fence._id), events };
+};
+
+/**
+ * Follow how far a bus is off its route. A deviation counts once the bus has stayed beyond
+ * ROUTE_DEVIATION_METRES for ROUTE_DEVIATION_SECONDS; shorter excursions are treated as GPS noise.
+ * @param {Document} scheduledBus - Before the fix is applied
+ * @param {number} distance - metres off route, less the fix's accuracy
+ * @param {Date} at
+ * @returns {{offRoute: Object|null, deviations: Array, event: Object|null}}
+ *   event is `deviated` when a deviation is confirmed and `returned` when a confirmed one ends
+ */
+const trackDeviation = (scheduledBus, distance, at) => {
+  const deviations = (scheduledBus.deviations || []).map((entry) => entry.toObject?.() ?? entry);
+  const open = deviations.length && !deviations[deviations.length - 1].endedAt ? deviations[deviations.length - 1] : null;
+  const since = scheduledBus.offRoute?.since;
+
+  if (distance <= DEVIATION_METRES) {
+    if (!open) return { offRoute: null, deviations, event: null };
+
+    open.endedAt = at;
+    return {
+      offRoute: null,
+      deviations,
+      event: { type: "returned", since: open.startedAt, at, maxDistance: open.maxDistance },
+    };
+  }
+
+  const offRoute = { since: since || at, maxDistance: Math.round(Math.max(scheduledBus.offRoute?.maxDistance || 0, distance)) };
+  if (open) {
+    open.maxDistance = offRoute.maxDistance;
+    return { offRoute, deviations, event: null };
+  }
+  if (at - offRoute.since < DEVIATION_SECONDS * 1000) return { offRoute, deviations, event: null };
+
+  deviations.push({ startedAt: offRoute.since, maxDistance: offRoute.maxDistance });
+  return {
+    offRoute,
+    deviations,
+    event: { type: "deviated", since: offRoute.since, at, distance: Math.round(distance) },
+  };
+};
+
+/**
+ * Push fence crossings and deviations to managers, raising alerts for confirmed deviations
+ * and for restricted fences entered.
+ * @param {Object} params
+ * @param {Document} params.bus - Updated scheduled bus
+ * @param {Document} params.route
+ * @param {Array} params.geofenceEvents - From evaluateGeofences
+ * @param {Object|null} params.deviation - Event from trackDeviation
+ * @param {string} [params.busNumber]
+ * @returns {Promise<Alert[]>}
+ */
+const monitorGeofences = async ({ bus, route, geofenceEvents, deviation, busNumber }) => {
+  const label = busNumber || bus.id;
+  const pending = [];
+
+  if (geofenceEvents.length) {
+    publish([MANAGER_TOPIC], {
+      type: "geofence",
+      scheduledBusId: bus.id,
+      events: geofenceEvents.map(({ type, geofence, at }) => ({
+        type,
+        at,
+        geofence: { _id: geofence._id, name: geofence.name, restricted: geofence.restricted },
+      })),
+    });
+  }
+
+  geofenceEvents
+    .filter(({ type, geofence }) => type === "entered" && geofence.restricted)
+    .forEach(({ geofence }) => pending.push({
+      type: "geofence",
+      geofence: geofence._id,
+      message: `Bus ${label} entered restricted zone ${geofence.name}`,
+    }));
+
+  if (deviation) {
+    publish([MANAGER_TOPIC], { type: "routeDeviation", scheduledBusId: bus.id, ...deviation });
+  }
+
+  if (deviation?.type === "deviated") {
+    const minutes = Math.max(1, Math.round((deviation.at - deviation.since) / 60000));
+    pending.push({
+      type: "routeDeviation",
+      distance: deviation.distance,
+      minutes,
+      message: `Bus ${label} is ${deviation.distance} m off its route and has been for ${minutes} min`,
+    });
+  }
+
+  if (!pending.length) return [];
+
+  const alerts = await Alert.insertMany(pending.map((alert) => ({ ...alert, scheduledBus: bus._id, route: route._id })));
+  alerts.forEach((alert) => publish([MANAGER_TOPIC], { type: "alert", alert }));
+  return alerts;
+};
+
+export {
+  isInside,
+  invalidateGeofences,
+  evaluateGeofences,
+  trackDeviation,
+  monitorGeofences,
+};
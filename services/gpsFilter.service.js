@@ -0,0 +1,148 @@
+import { haversineDistance } from "../utils/time.js";
+
+// Highest plausible speed (km/h) per Bus.busType; anything faster between two fixes is a GPS jump
+const SPEED_CEILING = {
+  City: 80,
+  Suburban: 90,
+  Intercity: 110,
+  Special: 110,
+};
+const DEFAULT_SPEED_CEILING = 110;
+
+const MAX_ACCURACY = 100; // metres, fixes reported less accurate than this are dropped
+const DEFAULT_ACCURACY = 20; // metres, assumed when the device doesn't report accuracy
+const MAX_CLOCK_SKEW = 30 * 1000; // ms a device clock may run ahead of the server
+const MAX_FIX_AGE = 2 * 60 * 1000; // ms, older live fixes are stale
+const ACCELERATION_NOISE = 1; // m/s², how sharply the bus is expected to change speed between fixes
+const INITIAL_SPEED_UNCERTAINTY = 20; // m/s, the first fix says nothing about how fast the bus is moving
+const METRES_PER_DEGREE = 111320;
+
+/**
+ * Parse the device timestamp of a fix, falling back to the server clock when it is missing.
+ * @param {number|string} [timestamp] - Epoch milliseconds or an ISO date
+ * @returns {Date|null} null when a timestamp was given but can't be parsed
+ */
+const parseFixTime = (timestamp) => {
+  if (timestamp === undefined || timestamp === null) return new Date();
+  const time = new Date(timestamp);
+  return Number.isNaN(time.getTime()) ? null : time;
+};
+
+/**
+ * Pull a fix out of a driver message, or null when it is malformed.
+ * @param {Object} data - `{latitude, longitude, timestamp?, accuracy?}`
+ * @returns {{latitude: number, longitude: number, timestamp: Date, accuracy?: number}|null}
+ */
+const parseFix = (data) => {
+  const { latitude, longitude } = data || {};
+  const timestamp = parseFixTime(data?.timestamp);
+  if (typeof latitude !== "number" || typeof longitude !== "number" || !timestamp) return null;
+
+  const accuracy = typeof data.accuracy === "number" ? data.accuracy : undefined;
+  return { latitude, longitude, timestamp, accuracy };
+};
+
+/**
+ * Decide whether a raw fix can be trusted, and smooth it if so.
+ * Smoothing is a constant-velocity Kalman filter per axis, weighting each fix by its reported accuracy,
+ * so the smoothed position keeps up with a moving bus instead of trailing it.
+ * Both axes see the same noise, so they share one covariance.
+ * @param {Object} previous - Filter state stored on the trip (`gpsFilter`), if any
+ * @param {Object} fix
+ * @param {number} fix.latitude
+ * @param {number} fix.longitude
+ * @param {Date} fix.timestamp
+ * @param {number} [fix.accuracy] - metres
+ * @param {Object} [options]
+ * @param {string} [options.busType] - Bus.busType, selects the speed ceiling
+ * @param {number} [options.maxAge] - ms, how old a fix may be (buffered fixes allow more)
+ * @param {Date} [options.now]
+ * @returns {{accepted: true, latitude: number, longitude: number, state: Object}|{accepted: false, reason: string}}
+ */
+const filterFix = (previous, fix, { busType, maxAge = MAX_FIX_AGE, now = new Date() } = {}) => {
+  const { latitude, longitude, timestamp } = fix;
+  const accuracy = fix.accuracy ?? DEFAULT_ACCURACY;
+
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    return { accepted: false, reason: "Coordinates out of range" };
+  }
+  if (accuracy > MAX_ACCURACY) {
+    return { accepted: false, reason: "Fix is not accurate enough" };
+  }
+  if (timestamp - now > MAX_CLOCK_SKEW) {
+    return { accepted: false, reason: "Fix timestamp is in the future" };
+  }
+  if (now - timestamp > maxAge) {
+    return { accepted: false, reason: "Fix is stale" };
+  }
+
+  const state = {
+    latitude,
+    longitude,
+    velocityNorth: 0,
+    velocityEast: 0,
+    variance: accuracy * accuracy,
+    covariance: 0,
+    velocityVariance: INITIAL_SPEED_UNCERTAINTY * INITIAL_SPEED_UNCERTAINTY,
+    timestamp,
+    accuracy,
+  };
+  if (!previous?.timestamp) return { accepted: true, latitude, longitude, state };
+
+  const elapsed = (timestamp - new Date(previous.timestamp)) / 1000;
+  if (elapsed <= 0) {
+    return { accepted: false, reason: "Fix is out of order or duplicate" };
+  }
+
+  // Reported accuracy of both fixes is allowed for before calling the move impossible
+  const distance = haversineDistance(previous.latitude, previous.longitude, latitude, longitude);
+  const slack = (accuracy + (previous.accuracy ?? DEFAULT_ACCURACY)) / 1000;
+  const impliedSpeed = Math.max(distance - slack, 0) / (elapsed / 3600);
+  const ceiling = SPEED_CEILING[busType] ?? DEFAULT_SPEED_CEILING;
+  if (impliedSpeed > ceiling) {
+    return { accepted: false, reason: `Implausible jump (${Math.round(impliedSpeed)} km/h)` };
+  }
+
+  // Predict where the bus is now from its estimated velocity, working in metres around the last position
+  const metresPerLng = METRES_PER_DEGREE * Math.cos((previous.latitude * Math.PI) / 180);
+  const velocityNorth = previous.velocityNorth ?? 0;
+  const velocityEast = previous.velocityEast ?? 0;
+  const q = ACCELERATION_NOISE * ACCELERATION_NOISE;
+  const pp = previous.variance;
+  const pv = previous.covariance ?? 0;
+  const vv = previous.velocityVariance ?? INITIAL_SPEED_UNCERTAINTY * INITIAL_SPEED_UNCERTAINTY;
+
+  const predictedVariance = pp + 2 * elapsed * pv + elapsed * elapsed * vv + (q * elapsed ** 3) / 3;
+  const predictedCovariance = pv + elapsed * vv + (q * elapsed ** 2) / 2;
+  const predictedVelocityVariance = vv + q * elapsed;
+
+  const innovation = predictedVariance + accuracy * accuracy;
+  const gain = predictedVariance / innovation;
+  const velocityGain = predictedCovariance / innovation;
+
+  const north = velocityNorth * elapsed;
+  const east = velocityEast * elapsed;
+  const residualNorth = (latitude - previous.latitude) * METRES_PER_DEGREE - north;
+  const residualEast = (longitude - previous.longitude) * metresPerLng - east;
+
+  const smoothed = {
+    latitude: previous.latitude + (north + gain * residualNorth) / METRES_PER_DEGREE,
+    longitude: previous.longitude + (east + gain * residualEast) / metresPerLng,
+    velocityNorth: velocityNorth + velocityGain * residualNorth,
+    velocityEast: velocityEast + velocityGain * residualEast,
+    variance: (1 - gain) * predictedVariance,
+    covariance: (1 - gain) * predictedCovariance,
+    velocityVariance: predictedVelocityVariance - velocityGain * predictedCovariance,
+    timestamp,
+    accuracy,
+  };
+
+  return { accepted: true, latitude: smoothed.latitude, longitude: smoothed.longitude, state: smoothed };
+};
+
+export {
+  MAX_FIX_AGE,
+  parseFixTime,
+  parseFix,
+  filterFix,
+};
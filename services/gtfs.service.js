@@ -0,0 +1,394 @@
+import AdmZip from 'adm-zip';
+import BusStop from '../model/stops.model.js';
+import Route from '../model/route.model.js';
+import ScheduledBus from '../model/scheduledbus.model.js';
+import { parseCsv, toCsv } from '../utils/csv.js';
+import { cumulativeDistances, projectOntoPolyline } from '../utils/geometry.js';
+import { zonedDate, zonedCalendarDate } from '../utils/timezone.js';
+import { scheduledStopTime } from './eta.service.js';
+
+const DEFAULT_TIMEZONE = process.env.GTFS_TIMEZONE || 'Asia/Kolkata';
+const AGENCY_ID = 'TNSTC';
+const AGENCY_NAME = 'Tamil Nadu State Transport Corporation';
+const AGENCY_URL = process.env.GTFS_AGENCY_URL || 'https://www.tnstc.in';
+const BUS_ROUTE_TYPE = 3;
+const REQUIRED_FILES = ['stops.txt', 'routes.txt', 'trips.txt', 'stop_times.txt'];
+
+const groupBy = (records, key) => {
+  const groups = new Map();
+  records.forEach((record) => {
+    const value = record[key];
+    if (!groups.has(value)) groups.set(value, []);
+    groups.get(value).push(record);
+  });
+  return groups;
+};
+
+/**
+ * "HH:MM:SS" (hours may exceed 24) to seconds after the service day's midnight
+ */
+const parseGtfsTime = (time) => {
+  const [hours, minutes, seconds] = time.split(':').map((part) => parseInt(part, 10));
+  return hours * 3600 + minutes * 60 + (seconds || 0);
+};
+
+const formatGtfsTime = (totalSeconds) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  const seconds = Math.round(totalSeconds);
+  return `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor((seconds % 3600) / 60))}:${pad(seconds % 60)}`;
+};
+
+const formatGtfsDate = ({ year, month, day }) => `${year}${String(month).padStart(2, '0')}${String(day).padStart(2, '0')}`;
+
+/**
+ * GTFS service date (YYYYMMDD) a departure belongs to, in the feed's time zone
+ * @param {Date} date
+ * @returns {string}
+ */
+const serviceDateOf = (date) => formatGtfsDate(zonedCalendarDate(new Date(date), DEFAULT_TIMEZONE));
+
+// Ids used in exported feeds; GTFS ids survive a round trip, everything else uses the ObjectId
+const gtfsStopId = (stop) => stop.gtfsId || stop._id.toString();
+const gtfsRouteId = (route) => route.gtfsId || route._id.toString();
+const gtfsTripId = (trip) => (trip.gtfsTripId ? `${trip.gtfsTripId}:${serviceDateOf(trip.scheduleTime)}` : trip._id.toString());
+
+/**
+ * Which service_ids run on a given date, from calendar.txt and calendar_dates.txt
+ */
+const buildServiceCalendar = (calendar, calendarDates) => {
+  const weekdays = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+  const exceptions = groupBy(calendarDates, 'date');
+
+  return (date) => {
+    const key = formatGtfsDate(date);
+    const weekday = weekdays[new Date(Date.UTC(date.year, date.month - 1, date.day)).getUTCDay()];
+
+    const active = new Set(
+      calendar
+        .filter((service) => service.start_date <= key && service.end_date >= key && service[weekday] === '1')
+        .map((service) => service.service_id)
+    );
+
+    (exceptions.get(key) || []).forEach((exception) => {
+      if (exception.exception_type === '1') active.add(exception.service_id);
+      if (exception.exception_type === '2') active.delete(exception.service_id);
+    });
+
+    return active;
+  };
+};
+
+/**
+ * Distance of each stop from the first, along the shape when there is one, else stop to stop.
+ * @returns {number[]} km
+ */
+const stopDistances = (stopPoints, shapePoints) => {
+  if (!shapePoints || shapePoints.length < 2) return cumulativeDistances(stopPoints);
+
+  const cumulative = cumulativeDistances(shapePoints);
+  let floor = 0;
+  const along = stopPoints.map((point) => {
+    const projections = projectOntoPolyline(shapePoints, cumulative, point).filter((p) => p.along >= floor);
+    if (!projections.length) return floor;
+    const best = projections.reduce((a, b) => (b.distance < a.distance ? b : a));
+    floor = best.along;
+    return best.along;
+  });
+
+  return along.map((distance) => distance - along[0]);
+};
+
+const readFeed = (zipPath) => {
+  const zip = new AdmZip(zipPath);
+  const read = (name) => {
+    const entry = zip.getEntries().find((e) => e.entryName === name || e.entryName.endsWith(`/${name}`));
+    return entry ? parseCsv(entry.getData().toString('utf8')) : null;
+  };
+
+  const missing = REQUIRED_FILES.filter((name) => !read(name));
+  if (missing.length) throw new Error(`GTFS feed is missing ${missing.join(', ')}`);
+
+  return {
+    agency: read('agency.txt') || [],
+    stops: read('stops.txt'),
+    routes: read('routes.txt'),
+    trips: read('trips.txt'),
+    stopTimes: read('stop_times.txt'),
+    shapes: read('shapes.txt') || [],
+    calendar: read('calendar.txt') || [],
+    calendarDates: read('calendar_dates.txt') || [],
+  };
+};
+
+/**
+ * Import a GTFS feed. Stops, routes and trips are upserted by their GTFS ids so re-importing is safe.
+ * Every distinct stop pattern of a GTFS route becomes its own Route. Trips are materialised as
+ * ScheduledBus documents for each service date in the window; bus and driver are left for assignment.
+ * @param {string} zipPath
+ * @param {Object} [options]
+ * @param {Date} [options.from] - First service date to create trips for (default = today)
+ * @param {number} [options.days] - Number of service days to create trips for (default = 7)
+ * @returns {Promise<{stops: number, routes: number, trips: number}>}
+ */
+const importFeed = async (zipPath, { from = new Date(), days = 7 } = {}) => {
+  const feed = readFeed(zipPath);
+  const timeZone = feed.agency[0]?.agency_timezone || DEFAULT_TIMEZONE;
+
+  // Stops. Stations and entrances (location_type > 0) aren't boarding points
+  const boardingStops = feed.stops.filter((stop) => !stop.location_type || stop.location_type === '0');
+  await BusStop.bulkWrite(boardingStops.map((stop) => {
+    const lat = parseFloat(stop.stop_lat);
+    const lng = parseFloat(stop.stop_lon);
+    return {
+      updateOne: {
+        filter: { gtfsId: stop.stop_id },
+        update: {
+          $set: {
+            name: stop.stop_name,
+            code: stop.stop_code || stop.stop_id,
+            coordinates: { lat, lng },
+            location: { type: 'Point', coordinates: [lng, lat] },
+          },
+          $setOnInsert: { active: true },
+        },
+        upsert: true,
+      },
+    };
+  }));
+
+  const stopDocs = await BusStop.find({ gtfsId: { $in: boardingStops.map((stop) => stop.stop_id) } });
+  const stopsByGtfsId = new Map(stopDocs.map((stop) => [stop.gtfsId, stop]));
+
+  const stopTimesByTrip = groupBy(feed.stopTimes, 'trip_id');
+  stopTimesByTrip.forEach((times) => times.sort((a, b) => parseInt(a.stop_sequence, 10) - parseInt(b.stop_sequence, 10)));
+
+  const shapes = groupBy(feed.shapes, 'shape_id');
+  shapes.forEach((points) => points.sort((a, b) => parseInt(a.shape_pt_sequence, 10) - parseInt(b.shape_pt_sequence, 10)));
+
+  const gtfsRoutes = new Map(feed.routes.map((route) => [route.route_id, route]));
+
+  // Group trips by route and stop pattern
+  const patterns = new Map();
+  feed.trips.forEach((trip) => {
+    const times = (stopTimesByTrip.get(trip.trip_id) || []).filter((time) => stopsByGtfsId.has(time.stop_id));
+    if (times.length < 2 || !gtfsRoutes.has(trip.route_id)) return;
+
+    const key = `${trip.route_id}|${times.map((time) => time.stop_id).join(',')}`;
+    if (!patterns.has(key)) patterns.set(key, { routeId: trip.route_id, trips: [] });
+    patterns.get(key).trips.push({ trip, times });
+  });
+
+  const patternCounts = new Map();
+  patterns.forEach(({ routeId }) => patternCounts.set(routeId, (patternCounts.get(routeId) || 0) + 1));
+
+  const routeIdByPattern = new Map();
+  const usedNames = new Set();
+  const patternIndex = new Map();
+
+  for (const [key, pattern] of patterns) {
+    const gtfsRoute = gtfsRoutes.get(pattern.routeId);
+    const [{ trip, times }] = pattern.trips;
+    const index = (patternIndex.get(pattern.routeId) || 0) + 1;
+    patternIndex.set(pattern.routeId, index);
+
+    const single = patternCounts.get(pattern.routeId) === 1;
+    const gtfsId = single ? pattern.routeId : `${pattern.routeId}:${index}`;
+    let routeName = gtfsRoute.route_short_name || gtfsRoute.route_long_name || pattern.routeId;
+    if (!single) routeName = `${routeName} - ${trip.trip_headsign || index}`;
+    if (usedNames.has(routeName)) routeName = `${routeName} (${gtfsId})`;
+    usedNames.add(routeName);
+
+    const stops = times.map((time) => stopsByGtfsId.get(time.stop_id));
+    const shapePoints = (shapes.get(trip.shape_id) || []).map((point) => ({
+      lat: parseFloat(point.shape_pt_lat),
+      lng: parseFloat(point.shape_pt_lon),
+    }));
+    const distances = stopDistances(stops.map((stop) => stop.coordinates), shapePoints);
+
+    const firstDeparture = parseGtfsTime(times[0].departure_time || times[0].arrival_time);
+    const lastArrival = parseGtfsTime(times[times.length - 1].arrival_time || times[times.length - 1].departure_time);
+
+    const route = await Route.findOneAndUpdate(
+      { gtfsId },
+      {
+        $set: {
+          routeName,
+          origin: stops[0]._id,
+          destination: stops[stops.length - 1]._id,
+          totalDistance: Number(distances[distances.length - 1].toFixed(2)),
+          totalDuration: Math.max(1, Math.round((lastArrival - firstDeparture) / 60)),
+          stops: stops.map((stop, order) => ({
+            stopId: stop._id,
+            stopOrder: order + 1,
+            distanceFromOrigin: Number(distances[order].toFixed(2)),
+          })),
+          path: shapePoints,
+        },
+      },
+      { upsert: true, new: true, runValidators: true }
+    );
+    routeIdByPattern.set(key, route._id);
+  }
+
+  // Trips for each service date in the window
+  const activeServices = buildServiceCalendar(feed.calendar, feed.calendarDates);
+  const start = zonedCalendarDate(from, timeZone);
+  const tripWrites = [];
+
+  for (let offset = 0; offset < days; offset++) {
+    const day = new Date(Date.UTC(start.year, start.month - 1, start.day + offset));
+    const date = { year: day.getUTCFullYear(), month: day.getUTCMonth() + 1, day: day.getUTCDate() };
+    const services = activeServices(date);
+
+    patterns.forEach((pattern, key) => {
+      pattern.trips.forEach(({ trip, times }) => {
+        if (!services.has(trip.service_id)) return;
+
+        const departure = parseGtfsTime(times[0].departure_time || times[0].arrival_time);
+        const scheduleTime = zonedDate(date.year, date.month, date.day, departure, timeZone);
+        tripWrites.push({
+          updateOne: {
+            filter: { gtfsTripId: trip.trip_id, scheduleTime },
+            update: {
+              $set: { route: routeIdByPattern.get(key) },
+              $setOnInsert: { status: 'Scheduled' },
+            },
+            upsert: true,
+          },
+        });
+      });
+    });
+  }
+
+  if (tripWrites.length) await ScheduledBus.bulkWrite(tripWrites);
+
+  return { stops: boardingStops.length, routes: patterns.size, trips: tripWrites.length };
+};
+
+/**
+ * Export stops, routes and scheduled trips as a GTFS feed.
+ * Each service date gets its own service_id in calendar_dates.txt; stop times come from the
+ * trip's scheduleTime plus the route's scheduled running time to each stop.
+ * @param {string} outPath - Zip file to write
+ * @param {Object} [options]
+ * @param {Date} [options.from] - First departure to include (default = today)
+ * @param {number} [options.days] - Number of days of trips to include (default = 7)
+ * @returns {Promise<{stops: number, routes: number, trips: number}>}
+ */
+const exportFeed = async (outPath, { from = new Date(), days = 7 } = {}) => {
+  const timeZone = DEFAULT_TIMEZONE;
+  const start = zonedCalendarDate(from, timeZone);
+  const windowStart = zonedDate(start.year, start.month, start.day, 0, timeZone);
+  const windowEnd = zonedDate(start.year, start.month, start.day + days, 0, timeZone);
+
+  const [stops, routes, trips] = await Promise.all([
+    BusStop.find({ active: true }),
+    Route.find({ isActive: true }),
+    ScheduledBus.find({ scheduleTime: { $gte: windowStart, $lt: windowEnd }, status: { $ne: 'Cancelled' } }),
+  ]);
+
+  const gtfsStopIds = new Map(stops.map((stop) => [stop._id.toString(), gtfsStopId(stop)]));
+  const routesById = new Map(routes.map((route) => [route._id.toString(), route]));
+  const shapeId = (route) => (route.path?.length >= 2 ? route._id.toString() : '');
+
+  const tripRows = [];
+  const stopTimeRows = [];
+  const serviceDates = new Set();
+
+  trips.forEach((trip) => {
+    const route = routesById.get(trip.route.toString());
+    if (!route) return;
+
+    const serviceDate = zonedCalendarDate(trip.scheduleTime, timeZone);
+    const serviceId = formatGtfsDate(serviceDate);
+    const midnight = zonedDate(serviceDate.year, serviceDate.month, serviceDate.day, 0, timeZone);
+    serviceDates.add(serviceId);
+
+    tripRows.push({
+      route_id: gtfsRouteId(route),
+      service_id: serviceId,
+      trip_id: gtfsTripId(trip),
+      trip_headsign: '',
+      shape_id: shapeId(route),
+    });
+
+    [...route.stops]
+      .sort((a, b) => a.stopOrder - b.stopOrder)
+      .filter((stop) => gtfsStopIds.has(stop.stopId.toString()))
+      .forEach((stop) => {
+        const time = formatGtfsTime((scheduledStopTime(trip, route, stop) - midnight) / 1000);
+        stopTimeRows.push({
+          trip_id: tripRows[tripRows.length - 1].trip_id,
+          arrival_time: time,
+          departure_time: time,
+          stop_id: gtfsStopIds.get(stop.stopId.toString()),
+          stop_sequence: stop.stopOrder,
+          shape_dist_traveled: stop.distanceFromOrigin,
+        });
+      });
+  });
+
+  const shapeRows = [];
+  routes.filter((route) => shapeId(route)).forEach((route) => {
+    const distances = cumulativeDistances(route.path);
+    route.path.forEach((point, index) => {
+      shapeRows.push({
+        shape_id: shapeId(route),
+        shape_pt_lat: point.lat,
+        shape_pt_lon: point.lng,
+        shape_pt_sequence: index + 1,
+        shape_dist_traveled: Number(distances[index].toFixed(3)),
+      });
+    });
+  });
+
+  const zip = new AdmZip();
+  const addFile = (name, columns, rows) => zip.addFile(name, Buffer.from(toCsv(columns, rows), 'utf8'));
+
+  addFile('agency.txt', ['agency_id', 'agency_name', 'agency_url', 'agency_timezone'], [
+    { agency_id: AGENCY_ID, agency_name: AGENCY_NAME, agency_url: AGENCY_URL, agency_timezone: timeZone },
+  ]);
+  addFile('stops.txt', ['stop_id', 'stop_code', 'stop_name', 'stop_lat', 'stop_lon'], stops.map((stop) => ({
+    stop_id: gtfsStopId(stop),
+    stop_code: stop.code,
+    stop_name: stop.name,
+    stop_lat: stop.coordinates.lat,
+    stop_lon: stop.coordinates.lng,
+  })));
+  addFile('routes.txt', ['route_id', 'agency_id', 'route_short_name', 'route_long_name', 'route_type'], routes.map((route) => ({
+    route_id: gtfsRouteId(route),
+    agency_id: AGENCY_ID,
+    route_short_name: route.routeName,
+    route_long_name: '',
+    route_type: BUS_ROUTE_TYPE,
+  })));
+  addFile('trips.txt', ['route_id', 'service_id', 'trip_id', 'trip_headsign', 'shape_id'], tripRows);
+  addFile(
+    'stop_times.txt',
+    ['trip_id', 'arrival_time', 'departure_time', 'stop_id', 'stop_sequence', 'shape_dist_traveled'],
+    stopTimeRows
+  );
+  addFile('calendar_dates.txt', ['service_id', 'date', 'exception_type'], [...serviceDates].sort().map((date) => ({
+    service_id: date,
+    date,
+    exception_type: 1,
+  })));
+  if (shapeRows.length) {
+    addFile('shapes.txt', ['shape_id', 'shape_pt_lat', 'shape_pt_lon', 'shape_pt_sequence', 'shape_dist_traveled'], shapeRows);
+  }
+
+  zip.writeZip(outPath);
+  return { stops: stops.length, routes: routes.length, trips: tripRows.length };
+};
+
+export {
+  parseGtfsTime,
+  formatGtfsTime,
+  serviceDateOf,
+  gtfsStopId,
+  gtfsRouteId,
+  gtfsTripId,
+  buildServiceCalendar,
+  importFeed,
+  exportFeed,
+};
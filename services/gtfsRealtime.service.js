@@ -0,0 +1,183 @@
+import GtfsRealtimeBindings from 'gtfs-realtime-bindings';
+import ScheduledBus from '../model/scheduledbus.model.js';
+import BusStop from '../model/stops.model.js';
+import { scheduledStopTime } from './eta.service.js';
+import { serviceDateOf, gtfsStopId, gtfsRouteId, gtfsTripId } from './gtfs.service.js';
+
+const { transit_realtime: realtime } = GtfsRealtimeBindings;
+
+const LOOKBACK = 12 * 60 * 60 * 1000; // ms, trips scheduled this long ago may still be running
+const LOOKAHEAD = 24 * 60 * 60 * 1000; // ms, cancellations this far ahead are published
+
+const OCCUPANCY_STATUS = {
+  empty: 'EMPTY',
+  seatsAvailable: 'MANY_SEATS_AVAILABLE',
+  standing: 'STANDING_ROOM_ONLY',
+  full: 'FULL',
+};
+
+const toSeconds = (date) => Math.floor(new Date(date).getTime() / 1000);
+const refId = (ref) => (ref?._id || ref)?.toString();
+
+const feedMessage = (entity) => realtime.FeedMessage.fromObject({
+  header: {
+    gtfsRealtimeVersion: '2.0',
+    incrementality: 'FULL_DATASET',
+    timestamp: toSeconds(new Date()),
+  },
+  entity,
+});
+
+const tripDescriptor = (trip, route, scheduleRelationship = 'SCHEDULED') => ({
+  tripId: gtfsTripId(trip),
+  routeId: route ? gtfsRouteId(route) : undefined,
+  startDate: serviceDateOf(trip.scheduleTime),
+  scheduleRelationship,
+});
+
+/**
+ * GTFS ids of every stop referenced by the given trips' routes
+ */
+const loadStopIds = async (trips) => {
+  const ids = new Set();
+  trips.forEach((trip) => trip.route?.stops?.forEach((stop) => ids.add(refId(stop.stopId))));
+  const stops = await BusStop.find({ _id: { $in: [...ids] } }).select('gtfsId');
+  return new Map(stops.map((stop) => [stop._id.toString(), gtfsStopId(stop)]));
+};
+
+const orderedStops = (route) => [...route.stops].sort((a, b) => a.stopOrder - b.stopOrder);
+
+/**
+ * VehiclePositions for every on-route trip that has reported a location
+ * @returns {Promise<FeedMessage>}
+ */
+const buildVehiclePositions = async () => {
+  const trips = await ScheduledBus.find({ status: 'On Route', 'location.lastUpdated': { $exists: true } })
+    .populate('route')
+    .populate('bus', 'busNumber');
+  const stopIds = await loadStopIds(trips);
+
+  const entity = trips.filter((trip) => trip.route).map((trip) => {
+    const stops = orderedStops(trip.route);
+    const current = trip.leftAt[trip.leftAt.length - 1];
+    const atStop = current && !current.departedAt;
+    const passed = new Set(trip.leftAt.map((entry) => refId(entry.stop)));
+    const stop = atStop
+      ? stops.find((entry) => refId(entry.stopId) === refId(current.stop))
+      : stops.find((entry) => !passed.has(refId(entry.stopId)));
+
+    return {
+      id: trip._id.toString(),
+      vehicle: {
+        trip: tripDescriptor(trip, trip.route),
+        vehicle: {
+          id: refId(trip.bus) || trip._id.toString(),
+          label: trip.bus?.busNumber,
+        },
+        position: {
+          latitude: trip.location.latitude,
+          longitude: trip.location.longitude,
+          speed: trip.speed !== undefined ? trip.speed / 3.6 : undefined, // m/s
+        },
+        currentStatus: atStop ? 'STOPPED_AT' : 'IN_TRANSIT_TO',
+        stopId: stop ? stopIds.get(refId(stop.stopId)) : undefined,
+        currentStopSequence: stop?.stopOrder,
+        timestamp: toSeconds(trip.location.lastUpdated),
+        occupancyStatus: OCCUPANCY_STATUS[trip.occupancy?.level],
+      },
+    };
+  });
+
+  return feedMessage(entity);
+};
+
+/**
+ * TripUpdates for running trips: actual times at passed stops, predictions for the rest.
+ * Cancelled trips are published with a CANCELED schedule relationship.
+ * @returns {Promise<FeedMessage>}
+ */
+const buildTripUpdates = async () => {
+  const now = Date.now();
+  const trips = await ScheduledBus.find({
+    $or: [
+      { status: 'On Route' },
+      { status: 'Cancelled', scheduleTime: { $gte: new Date(now - LOOKBACK), $lte: new Date(now + LOOKAHEAD) } },
+    ],
+  }).populate('route');
+  const stopIds = await loadStopIds(trips);
+
+  const entity = trips.filter((trip) => trip.route).map((trip) => {
+    if (trip.status === 'Cancelled') {
+      return { id: trip._id.toString(), tripUpdate: { trip: tripDescriptor(trip, trip.route, 'CANCELED') } };
+    }
+
+    const passages = new Map(trip.leftAt.map((entry) => [refId(entry.stop), entry]));
+    const predictions = new Map(trip.stopPredictions.map((entry) => [refId(entry.stop), entry.eta]));
+
+    const stopTimeUpdate = orderedStops(trip.route)
+      .map((stop) => {
+        const scheduled = scheduledStopTime(trip, trip.route, stop);
+        const passage = passages.get(refId(stop.stopId));
+        const arrival = passage?.arrivedAt || passage?.time || predictions.get(refId(stop.stopId));
+        if (!arrival) return null;
+
+        const departure = passage?.departedAt || passage?.time || arrival;
+        return {
+          stopSequence: stop.stopOrder,
+          stopId: stopIds.get(refId(stop.stopId)),
+          arrival: { time: toSeconds(arrival), delay: toSeconds(arrival) - toSeconds(scheduled) },
+          departure: { time: toSeconds(departure), delay: toSeconds(departure) - toSeconds(scheduled) },
+        };
+      })
+      .filter(Boolean);
+
+    return {
+      id: trip._id.toString(),
+      tripUpdate: {
+        trip: tripDescriptor(trip, trip.route),
+        vehicle: { id: refId(trip.bus) || trip._id.toString() },
+        stopTimeUpdate,
+        timestamp: trip.location?.lastUpdated ? toSeconds(trip.location.lastUpdated) : undefined,
+      },
+    };
+  });
+
+  return feedMessage(entity);
+};
+
+/**
+ * Alerts for cancelled trips that were due to run recently or in the next day
+ * @returns {Promise<FeedMessage>}
+ */
+const buildAlerts = async () => {
+  const now = Date.now();
+  const trips = await ScheduledBus.find({
+    status: 'Cancelled',
+    scheduleTime: { $gte: new Date(now - LOOKBACK), $lte: new Date(now + LOOKAHEAD) },
+  }).populate('route', 'routeName gtfsId');
+
+  const entity = trips.map((trip) => ({
+    id: `cancelled-${trip._id}`,
+    alert: {
+      informedEntity: [{ trip: tripDescriptor(trip, trip.route, 'CANCELED'), routeId: trip.route ? gtfsRouteId(trip.route) : undefined }],
+      cause: 'OTHER_CAUSE',
+      effect: 'NO_SERVICE',
+      headerText: { translation: [{ text: `Trip on ${trip.route?.routeName || 'route'} cancelled`, language: 'en' }] },
+      descriptionText: trip.comments ? { translation: [{ text: trip.comments, language: 'en' }] } : undefined,
+    },
+  }));
+
+  return feedMessage(entity);
+};
+
+const encodeFeed = (message) => Buffer.from(realtime.FeedMessage.encode(message).finish());
+
+const feedToJson = (message) => realtime.FeedMessage.toObject(message, { enums: String, longs: Number });
+
+export {
+  buildVehiclePositions,
+  buildTripUpdates,
+  buildAlerts,
+  encodeFeed,
+  feedToJson,
+};
@@ -0,0 +1,70 @@
+import Lease from "../model/lease.model.js";
+import { INSTANCE_ID } from "./pubsub/index.js";
+
+const LEASE_NAME = "scheduler";
+const LEASE_TTL = 30000; // ms a leader keeps the lease without renewing it
+const RENEW_INTERVAL = LEASE_TTL / 3;
+
+let leaseExpiresAt = 0;
+
+/**
+ * Take the lease if it is free or expired, or extend it if this instance already holds it
+ * @returns {Promise<boolean>} Whether this instance holds the lease
+ */
+const acquireLease = async () => {
+  const now = new Date();
+  try {
+    const lease = await Lease.findOneAndUpdate(
+      { _id: LEASE_NAME, $or: [{ holder: INSTANCE_ID }, { expiresAt: { $lt: now } }] },
+      { $set: { holder: INSTANCE_ID, expiresAt: new Date(now.getTime() + LEASE_TTL) } },
+      { upsert: true, new: true }
+    );
+    return lease.holder === INSTANCE_ID;
+  } catch (error) {
+    if (error.code === 11000) return false; // Another instance holds it, so the upsert collided
+    throw error;
+  }
+};
+
+/**
+ * Whether this instance should run the periodic jobs right now
+ */
+const isLeader = () => Date.now() < leaseExpiresAt;
+
+/**
+ * Compete for leadership, renewing the lease while this instance holds it.
+ * Leadership is counted from before each renewal request, so it lapses locally before anyone else can take over.
+ * @param {Object} [options]
+ * @param {function()} [options.onElected] - Called each time this instance becomes leader
+ * @returns {NodeJS.Timeout}
+ */
+const startLeaderElection = ({ onElected } = {}) => {
+  const renew = async () => {
+    const requestedAt = Date.now();
+    const wasLeader = isLeader();
+    try {
+      leaseExpiresAt = (await acquireLease()) ? requestedAt + LEASE_TTL : 0;
+    } catch (error) {
+      console.error("❌ Error renewing leader lease:", error.message);
+      return;
+    }
+
+    if (isLeader() && !wasLeader) {
+      console.log(`👑 Instance ${INSTANCE_ID} is now running the periodic jobs`);
+      onElected?.();
+    }
+  };
+
+  renew();
+  return setInterval(renew, RENEW_INTERVAL);
+};
+
+/**
+ * Wrap a periodic job so it only runs on the leader
+ * @param {function(): Promise} job
+ */
+const leaderOnly = (job) => async () => {
+  if (isLeader()) await job();
+};
+
+export { isLeader, startLeaderElection, leaderOnly };
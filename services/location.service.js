@@ -0,0 +1,375 @@
+import { randomUUID } from "crypto";
+import ScheduledBus from "../model/scheduledbus.model.js";
+import BusStop from "../model/stops.model.js";
+import LocationPing from "../model/locationPing.model.js";
+import Lease from "../model/lease.model.js";
+import { calculateSpeed } from "../utils/time.js";
+import { RECENT_SPEED_SAMPLES, predictArrivals, scheduledArrivalFor } from "./eta.service.js";
+import { buildRouteGeometry, matchToRoute } from "./mapmatch.service.js";
+import { orderedStopSequence, detectStopPassages, backfillStopPassages } from "./stopPassage.service.js";
+import { isTripClosed, nextTripState } from "./trip.service.js";
+import { filterFix } from "./gpsFilter.service.js";
+import { annotateAdherence } from "./monitor.service.js";
+import { freshnessOf } from "./presence.service.js";
+import { buildOccupancy, recordOccupancyReport } from "./occupancy.service.js";
+import { evaluateGeofences, trackDeviation } from "./geofenceMonitor.service.js";
+
+const MAX_BATCH_SIZE = 500; // fixes per locationBatch
+const BUFFERED_FIX_MAX_AGE = 24 * 60 * 60 * 1000; // ms, fixes buffered offline may be this old
+const BATCH_LOCK_TTL = 5 * 60 * 1000; // ms, a batch lock left by a crashed instance is taken over after this
+
+/**
+ * Apply a buffered fix taken before the trip's live position: fill in the stop passages and crowding
+ * the live fixes missed, without moving the position, the GPS filter or the trip state backwards.
+ * Buffered fixes are filtered and map-matched against each other rather than against the live state.
+ * @param {Document} scheduledBus - With `route` and `bus` populated
+ * @param {Document[]} stops - The route's stops
+ * @param {Object} fix - As for updateBusLocation
+ * @param {Object} options
+ * @param {{state: Object, distance: number}} [options.previous] - The buffered fix before this one
+ * @param {number} [options.maxAge]
+ * @returns {Promise<{rejected: string}|Object>} As for updateBusLocation, plus `buffered` to pass on with the next fix
+ */
+const backfillBusLocation = async (scheduledBus, stops, fix, { previous, maxAge }) => {
+  const { route } = scheduledBus;
+
+  const filtered = filterFix(previous?.state, fix, { busType: scheduledBus.bus?.busType, maxAge });
+  if (!filtered.accepted) return { rejected: filtered.reason };
+
+  const { latitude, longitude } = filtered;
+  const fixTime = fix.timestamp;
+
+  const geometry = buildRouteGeometry(route, stops);
+  if (!geometry) throw new Error("Route has no usable path geometry");
+  const { distanceAlong } = matchToRoute(geometry, latitude, longitude, previous?.distance);
+  const distance = Math.min(distanceAlong, route.totalDistance);
+
+  const { leftAt: passages, events: stopEvents } = backfillStopPassages({
+    sequence: orderedStopSequence(route, stops),
+    leftAt: scheduledBus.leftAt || [],
+    previous: previous ? { distance: previous.distance, time: previous.state.timestamp } : null,
+    current: { latitude, longitude, distance, time: fixTime },
+  });
+  annotateAdherence(scheduledBus, route, stopEvents, passages);
+
+  // Crowding is tied to the last stop passed when the fix was taken
+  const passedBy = passages.filter((entry) => (entry.arrivedAt ?? entry.time) <= fixTime);
+  const occupancy = fix.occupancy
+    ? buildOccupancy({ ...fix.occupancy, timestamp: fixTime }, scheduledBus.bus?.passengerCapacity, passedBy)
+    : null;
+
+  const updateFields = {};
+  if (stopEvents.length) updateFields.leftAt = passages;
+  if (occupancy && !(scheduledBus.occupancy?.updatedAt >= fixTime)) updateFields.occupancy = occupancy;
+
+  const updatedBus = Object.keys(updateFields).length
+    ? await ScheduledBus.findByIdAndUpdate(scheduledBus._id, { $set: updateFields }, { new: true })
+    : scheduledBus;
+
+  await LocationPing.create({
+    timestamp: fixTime,
+    scheduledBus: scheduledBus._id,
+    latitude,
+    longitude,
+    accuracy: filtered.state.accuracy,
+    distanceTraveled: distance.toFixed(2),
+  });
+  if (occupancy) await recordOccupancyReport(scheduledBus, occupancy);
+
+  return {
+    bus: updatedBus,
+    busDetails: scheduledBus.bus,
+    route,
+    stops,
+    transition: null,
+    stopEvents,
+    presenceChanged: false,
+    geofenceEvents: [],
+    deviation: null,
+    buffered: { state: filtered.state, distance },
+  };
+};
+
+/**
+ * Apply a driver's GPS fix to a scheduled bus: validate and smooth it, match it to the route,
+ * detect stop passages, refresh ETAs, advance the trip lifecycle and record the ping.
+ * @param {string} scheduledBusId
+ * @param {Object} fix
+ * @param {number} fix.latitude
+ * @param {number} fix.longitude
+ * @param {Date} fix.timestamp - When the device took the fix
+ * @param {number} [fix.accuracy] - metres
+ * @param {{level?: string, count?: number}} [fix.occupancy] - Crowding reported with the fix
+ * @param {Object} [options]
+ * @param {number} [options.maxAge] - ms, how old a fix may be before it is rejected as stale
+ * @param {Object} [options.buffered] - Set for fixes replayed from an offline buffer, see backfillBusLocation:
+ *   `{}` for the first, then the `buffered` of the previous result
+ * @returns {Promise<{rejected: string}|{bus, busDetails, route, stops, transition, stopEvents, presenceChanged, geofenceEvents, deviation, buffered?}>}
+ */
+const updateBusLocation = async (scheduledBusId, fix, { maxAge, buffered } = {}) => {
+  try {
+    const scheduledBus = await ScheduledBus.findById(scheduledBusId)
+      .populate({
+        path: 'route',
+        populate: [
+          { path: 'origin', model: 'BusStop' },
+          { path: 'destination', model: 'BusStop' }
+        ]
+      })
+      .populate('bus', 'busType busNumber passengerCapacity');
+
+    if (!scheduledBus) throw new Error("Scheduled bus not found");
+
+    if (isTripClosed(scheduledBus.status)) return { rejected: `Trip is already ${scheduledBus.status}` };
+
+    const { location, route, leftAt = [] } = scheduledBus;
+    if (!route || !route.origin || !route.destination || !route.stops || !route.totalDistance) {
+      throw new Error("Route data is invalid or missing required details");
+    }
+
+    const stops = await BusStop.find({ '_id': { $in: route.stops.map(stop => stop.stopId) } });
+    if (!stops.length) throw new Error("No stops found for this route");
+
+    // Live fixes have moved past a buffered one, so it can only fill in what they missed
+    const liveSince = scheduledBus.gpsFilter?.timestamp;
+    if (buffered && liveSince && fix.timestamp <= liveSince) {
+      return await backfillBusLocation(scheduledBus, stops, fix, { previous: buffered.state ? buffered : undefined, maxAge });
+    }
+
+    // Drop teleports, stale and out-of-order fixes before they touch anything, then smooth jitter
+    const filtered = filterFix(scheduledBus.gpsFilter, fix, { busType: scheduledBus.bus?.busType, maxAge });
+    if (!filtered.accepted) return { rejected: filtered.reason };
+
+    const { latitude, longitude } = filtered;
+    const fixTime = fix.timestamp;
+
+    const prevLat = location?.latitude;
+    const prevLng = location?.longitude;
+    const prevTimestamp = location.lastUpdated ? new Date(location.lastUpdated).getTime() : null;
+
+    // Distance calculations, measured along the route rather than as the crow flies
+    const geometry = buildRouteGeometry(route, stops);
+    if (!geometry) throw new Error("Route has no usable path geometry");
+
+    const { distanceAlong, offRouteDistance } = matchToRoute(geometry, latitude, longitude, scheduledBus.distanceTraveled);
+    const distanceFromOrigin = Math.min(distanceAlong, route.totalDistance);
+
+    const remainingDistance = Math.max(route.totalDistance - distanceFromOrigin, 0);
+    const completionPercentage = Math.max(0, Math.min((distanceFromOrigin / route.totalDistance) * 100, 100));
+
+    // Speed calculation
+    const speed = calculateSpeed(prevLat, prevLng, prevTimestamp, latitude, longitude, fixTime.getTime());
+
+    // Stop arrivals and departures, in route order
+    const { leftAt: passages, events: stopEvents } = detectStopPassages({
+      sequence: orderedStopSequence(route, stops),
+      leftAt,
+      previous: location?.lastUpdated
+        ? { distance: scheduledBus.distanceTraveled, time: location.lastUpdated }
+        : null,
+      current: { latitude, longitude, distance: distanceFromOrigin, time: fixTime },
+    });
+    annotateAdherence(scheduledBus, route, stopEvents, passages);
+
+    // Crowding is tied to the last stop passed, including any passed on this fix
+    const occupancy = fix.occupancy
+      ? buildOccupancy({ ...fix.occupancy, timestamp: fixTime }, scheduledBus.bus?.passengerCapacity, passages)
+      : null;
+
+    // Fence crossings, and how far off route a running bus is beyond what the fix's accuracy explains
+    const geofences = await evaluateGeofences(scheduledBus, { latitude, longitude, at: fixTime });
+    const deviation = scheduledBus.status === "On Route"
+      ? trackDeviation(scheduledBus, Math.max(0, offRouteDistance * 1000 - (filtered.state.accuracy || 0)), fixTime)
+      : null;
+
+    // Prepare update fields
+    const updateFields = {
+      "location.latitude": latitude,
+      "location.longitude": longitude,
+      "location.lastUpdated": fixTime,
+      "location.accuracy": filtered.state.accuracy,
+      gpsFilter: filtered.state,
+      position: { type: "Point", coordinates: [longitude, latitude] },
+      distanceTraveled: distanceFromOrigin.toFixed(2),
+      distanceRemaining: remainingDistance.toFixed(2),
+      journeyCompletion: completionPercentage.toFixed(2),
+      leftAt: passages
+    };
+    if (occupancy) updateFields.occupancy = occupancy;
+    if (geofences.events.length) updateFields.geofences = geofences.inside;
+    if (deviation) {
+      updateFields.offRoute = deviation.offRoute;
+      updateFields.deviations = deviation.deviations;
+    }
+
+    if (speed !== null) {
+      updateFields.speed = speed;
+      updateFields.recentSpeeds = [...(scheduledBus.recentSpeeds || []), speed].slice(-RECENT_SPEED_SAMPLES);
+    }
+
+    // Arrival predictions for every stop still ahead
+    const stopPredictions = await predictArrivals(route, {
+      position: distanceFromOrigin,
+      speeds: updateFields.recentSpeeds || scheduledBus.recentSpeeds,
+      leftAt: passages,
+      startTime: fixTime,
+    });
+    updateFields.stopPredictions = stopPredictions.map(({ stop, eta }) => ({ stop, eta }));
+    if (stopPredictions.length) {
+      updateFields.estimatedArrivalTime = stopPredictions[stopPredictions.length - 1].eta;
+    }
+    if (!scheduledBus.scheduledArrivalTime) {
+      updateFields.scheduledArrivalTime = scheduledArrivalFor(scheduledBus, route);
+    }
+
+    // Trip lifecycle: departing the origin starts the trip, reaching the destination completes it
+    const transition = nextTripState(scheduledBus, {
+      latitude,
+      longitude,
+      distanceTraveled: distanceFromOrigin,
+      offRouteDistance,
+      at: fixTime,
+    });
+    if (transition) Object.assign(updateFields, transition.fields);
+
+    // A fresh fix brings a stale bus back online; buffered fixes may still be stale
+    const presence = freshnessOf(fixTime);
+    const presenceChanged = presence !== scheduledBus.presence?.state;
+    if (presenceChanged) {
+      updateFields["presence.state"] = presence;
+      updateFields["presence.changedAt"] = new Date();
+    }
+
+    const update = { $set: updateFields };
+    if (geofences.events.length) {
+      update.$push = { geofenceEvents: { $each: geofences.events.map(({ type, geofence, at }) => ({ type, geofence: geofence._id, at })) } };
+    }
+
+    const updatedBus = await ScheduledBus.findByIdAndUpdate(scheduledBusId, update, { new: true });
+
+    // Keep every accepted fix so the trip can be replayed and audited later
+    const currentPassage = passages[passages.length - 1];
+    await LocationPing.create({
+      timestamp: fixTime,
+      scheduledBus: scheduledBus._id,
+      latitude,
+      longitude,
+      speed: speed ?? undefined,
+      accuracy: filtered.state.accuracy,
+      distanceTraveled: updateFields.distanceTraveled,
+      matchedStop: currentPassage && !currentPassage.departedAt ? currentPassage.stop : undefined,
+    });
+    if (occupancy) await recordOccupancyReport(scheduledBus, occupancy);
+
+    return {
+      bus: updatedBus,
+      busDetails: scheduledBus.bus,
+      route,
+      stops,
+      transition,
+      stopEvents,
+      presenceChanged,
+      geofenceEvents: geofences.events,
+      deviation: deviation?.event || null,
+    };
+  } catch (error) {
+    console.error("❌ Error updating bus location:", error.message);
+    throw new Error("Error updating bus location");
+  }
+};
+
+/**
+ * Run `work` while holding the trip's batch lock (a Lease shared by every instance), so a batch resent
+ * while the first copy is still being applied can't replay the same fixes alongside it.
+ * @param {string} scheduledBusId
+ * @param {function(): Promise} work
+ * @returns {Promise<*>} What `work` returned, or null when another batch holds the lock
+ */
+const withBatchLock = async (scheduledBusId, work) => {
+  const name = `locationBatch:${scheduledBusId}`;
+  const holder = randomUUID();
+  const now = new Date();
+  try {
+    await Lease.findOneAndUpdate(
+      { _id: name, expiresAt: { $lt: now } },
+      { $set: { holder, expiresAt: new Date(now.getTime() + BATCH_LOCK_TTL) } },
+      { upsert: true }
+    );
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  try {
+    return await work();
+  } finally {
+    await Lease.deleteOne({ _id: name, holder });
+  }
+};
+
+/**
+ * Apply fixes a driver buffered while offline, oldest sequence first, one batch per trip at a time.
+ * Sequences are counted per driver and app session: at or below the `lastSequence` recorded for the
+ * same source they have already been applied and are skipped, so a batch resent after a lost
+ * acknowledgement does no harm. A new driver or session (e.g. the trip was reassigned, or the app was
+ * reinstalled and its counter restarted) starts counting afresh. `lastSequence` moves forward after
+ * each fix, so a batch cut short by a crash resumes where it stopped. Fixes the GPS filter rejects
+ * still count as handled; they would be rejected again if resent.
+ * Fixes older than a live update that arrived first still fill in the trip's stop passages and
+ * crowding history, see backfillBusLocation.
+ * @param {string} scheduledBusId
+ * @param {Array<{sequence: number, latitude: number, longitude: number, timestamp: Date, accuracy?: number, occupancy?: Object}>} fixes
+ * @param {Object} source
+ * @param {ObjectId} source.driver - User sending the batch
+ * @param {string} [source.session] - Identifies the app's sequence counter
+ * @returns {Promise<{busy: true}|{sequence: number|null, results: Array, rejected: Array<{sequence: number, reason: string}>}>}
+ *   busy when another batch for the trip is still being applied; sequence is the highest sequence applied so far
+ */
+const applyLocationBatch = async (scheduledBusId, fixes, { driver, session } = {}) => {
+  if (fixes.length > MAX_BATCH_SIZE) throw new Error(`Batch exceeds ${MAX_BATCH_SIZE} fixes`);
+
+  const applied = await withBatchLock(scheduledBusId, async () => {
+    const trip = await ScheduledBus.findById(scheduledBusId).select("lastSequence sequenceSource");
+    if (!trip) throw new Error("Scheduled bus not found");
+
+    const sameSource = String(trip.sequenceSource?.driver) === String(driver) &&
+      (trip.sequenceSource?.session ?? null) === (session ?? null);
+    if (!sameSource) {
+      await ScheduledBus.updateOne(
+        { _id: scheduledBusId },
+        { $set: { sequenceSource: { driver, session } }, $unset: { lastSequence: 1 } }
+      );
+    }
+
+    let lastSequence = sameSource ? trip.lastSequence ?? null : null;
+    const results = [];
+    const rejected = [];
+
+    let buffered = {};
+
+    const ordered = [...fixes].sort((a, b) => a.sequence - b.sequence);
+    for (const fix of ordered) {
+      if (lastSequence !== null && fix.sequence <= lastSequence) continue;
+
+      const result = await updateBusLocation(scheduledBusId, fix, { maxAge: BUFFERED_FIX_MAX_AGE, buffered });
+      if (result.rejected) {
+        rejected.push({ sequence: fix.sequence, reason: result.rejected });
+      } else {
+        results.push(result);
+        buffered = result.buffered || {};
+      }
+      lastSequence = fix.sequence;
+      await ScheduledBus.updateOne({ _id: scheduledBusId }, { $set: { lastSequence } });
+    }
+
+    return { sequence: lastSequence, results, rejected };
+  });
+
+  return applied || { busy: true };
+};
+
+export {
+  MAX_BATCH_SIZE,
+  updateBusLocation,
+  applyLocationBatch,
+};
@@ -0,0 +1,124 @@
+import { cumulativeDistances, projectOntoPolyline } from "../utils/geometry.js";
+
+const SNAP_TOLERANCE = 0.05; // km, projections this close to the best one are all plausible matches
+const BACKTRACK_TOLERANCE = 0.2; // km, GPS noise allowed to move a bus backwards along the route
+const CALIBRATION_WARNING = 0.1; // warn when the path and stops[].distanceFromOrigin disagree by more than 10%
+
+// routeId -> { version, geometry }
+const geometryCache = new Map();
+
+const refId = (ref) => (ref?._id || ref)?.toString();
+
+/**
+ * Build the geometry a route's GPS fixes are matched against.
+ * Uses `route.path` when present, otherwise connects the stops in `stopOrder`.
+ * Each stop is projected onto the path and anchored to its `distanceFromOrigin`, so path distances
+ * can be converted to the same scale the route, ETA engine and stop list use.
+ * @param {Document} route
+ * @param {Document[]} stops - BusStop documents for the route's stops
+ */
+const buildRouteGeometry = (route, stops) => {
+  const version = `${refId(route)}:${route.updatedAt?.getTime?.() ?? ""}`;
+  const cached = geometryCache.get(refId(route));
+  if (cached && cached.version === version) return cached.geometry;
+
+  const stopsById = new Map(stops.map((stop) => [refId(stop), stop]));
+  const orderedStops = [...route.stops]
+    .sort((a, b) => a.stopOrder - b.stopOrder)
+    .filter((stop) => stopsById.has(refId(stop.stopId)));
+
+  const points = route.path?.length >= 2
+    ? route.path.map(({ lat, lng }) => ({ lat, lng }))
+    : orderedStops.map((stop) => {
+      const { lat, lng } = stopsById.get(refId(stop.stopId)).coordinates;
+      return { lat, lng };
+    });
+
+  if (points.length < 2) return null;
+
+  const cumulative = cumulativeDistances(points);
+  const length = cumulative[cumulative.length - 1];
+
+  // Anchor stops in order, never letting a later stop match behind an earlier one (loops revisit roads)
+  const anchors = [];
+  let floor = 0;
+  orderedStops.forEach((stop) => {
+    const { lat, lng } = stopsById.get(refId(stop.stopId)).coordinates;
+    const projections = projectOntoPolyline(points, cumulative, { lat, lng })
+      .filter((projection) => projection.along >= floor);
+    if (!projections.length) return;
+
+    const best = projections.reduce((a, b) => (b.distance < a.distance ? b : a));
+    anchors.push({ pathDistance: best.along, routeDistance: stop.distanceFromOrigin });
+    floor = best.along;
+  });
+
+  const lastAnchor = anchors[anchors.length - 1];
+  if (lastAnchor && lastAnchor.routeDistance > 0) {
+    const drift = Math.abs(lastAnchor.pathDistance - lastAnchor.routeDistance) / lastAnchor.routeDistance;
+    if (drift > CALIBRATION_WARNING) {
+      console.warn(`⚠️ Route ${route.routeName} path length disagrees with stop distances by ${(drift * 100).toFixed(0)}%`);
+    }
+  }
+
+  const geometry = { points, cumulative, length, anchors };
+  geometryCache.set(refId(route), { version, geometry });
+  return geometry;
+};
+
+/**
+ * Convert a distance along the path to the route's own distance scale by interpolating between stop anchors.
+ */
+const toRouteDistance = (geometry, pathDistance) => {
+  const { anchors } = geometry;
+  if (anchors.length < 2) return pathDistance;
+
+  let i = 1;
+  while (i < anchors.length - 1 && anchors[i].pathDistance < pathDistance) i++;
+  const from = anchors[i - 1];
+  const to = anchors[i];
+
+  const span = to.pathDistance - from.pathDistance;
+  if (span <= 0) return from.routeDistance + (pathDistance - from.pathDistance);
+
+  const scale = (to.routeDistance - from.routeDistance) / span;
+  return from.routeDistance + (pathDistance - from.pathDistance) * scale;
+};
+
+/**
+ * Snap a GPS fix onto the route.
+ * Where the route passes the same place twice, the match closest to (and not behind) the bus's previous
+ * progress wins, so a bus heading back toward its depot keeps moving forward. When no close match lies
+ * ahead, the one nearest the previous progress is kept rather than jumping to another leg of the route.
+ * @param {Object} geometry - Output of buildRouteGeometry
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {number} [previousDistance] - Previous distance travelled in route km
+ * @returns {{distanceAlong: number, offRouteDistance: number}} both in km
+ */
+const matchToRoute = (geometry, latitude, longitude, previousDistance) => {
+  const projections = projectOntoPolyline(geometry.points, geometry.cumulative, { lat: latitude, lng: longitude })
+    .map((projection) => ({ ...projection, routeDistance: toRouteDistance(geometry, projection.along) }))
+    // One candidate per pass of the route: a segment whose neighbour is closer only offers its clamped end
+    .filter((projection, i, all) => !(all[i - 1]?.distance < projection.distance) && !(all[i + 1]?.distance < projection.distance));
+
+  const nearest = projections.reduce((a, b) => (b.distance < a.distance ? b : a));
+  let match = nearest;
+
+  if (typeof previousDistance === "number" && !Number.isNaN(previousDistance)) {
+    const forward = projections.filter((projection) =>
+      projection.distance <= nearest.distance + SNAP_TOLERANCE &&
+      projection.routeDistance >= previousDistance - BACKTRACK_TOLERANCE
+    );
+    const closestToPrevious = (a, b) =>
+      (Math.abs(b.routeDistance - previousDistance) < Math.abs(a.routeDistance - previousDistance) ? b : a);
+    match = (forward.length ? forward : projections).reduce(closestToPrevious);
+  }
+
+  return { distanceAlong: Math.max(0, match.routeDistance), offRouteDistance: match.distance };
+};
+
+export {
+  buildRouteGeometry,
+  matchToRoute,
+};
@@ -0,0 +1,150 @@
+import Alert from "../model/alert.model.js";
+import ScheduledBus from "../model/scheduledbus.model.js";
+import { scheduledStopTime } from "./eta.service.js";
+import { publish, MANAGER_TOPIC } from "./subscription.service.js";
+import { onMessage, publishMessage } from "./pubsub/index.js";
+import { isTripClosed } from "./trip.service.js";
+
+const LATE_MINUTES = parseInt(process.env.ALERT_LATE_MINUTES, 10) || 5;
+const EARLY_MINUTES = parseInt(process.env.ALERT_EARLY_MINUTES, 10) || 2;
+const BUNCHING_MINUTES = parseInt(process.env.ALERT_BUNCHING_MINUTES, 10) || 3;
+const REPEAT_WINDOW = 30 * 60 * 1000; // ms, the same kind of alert for a trip isn't raised again within this window
+
+// `${scheduledBusId}:${type}` -> time the alert was raised, shared with the other instances
+const lastRaised = new Map();
+
+onMessage("alertRaised", ({ key, at }) => lastRaised.set(key, at));
+
+const refId = (ref) => (ref?._id || ref)?.toString();
+
+/**
+ * Record how far off the timetable each new stop passage is.
+ * Sets `delayMinutes` (positive = late, negative = early) on the events and on the matching passages.
+ * @param {Document} scheduledBus
+ * @param {Document} route
+ * @param {Array} stopEvents - Output of detectStopPassages
+ * @param {Array} passages - Passages the events were recorded into
+ */
+const annotateAdherence = (scheduledBus, route, stopEvents, passages) => {
+  const routeStops = new Map(route.stops.map((stop) => [refId(stop.stopId), stop]));
+
+  stopEvents
+    .filter((event) => event.type === "arrived" || event.type === "passed")
+    .forEach((event) => {
+      const routeStop = routeStops.get(refId(event.stop));
+      if (!routeStop) return;
+
+      const delayMinutes = Math.round((new Date(event.at) - scheduledStopTime(scheduledBus, route, routeStop)) / 60000);
+      event.delayMinutes = delayMinutes;
+
+      const passage = passages.find((entry) => refId(entry.stop) === refId(event.stop));
+      if (passage) passage.delayMinutes = delayMinutes;
+    });
+};
+
+// Entries past the repeat window no longer hold anything back, and finished trips raise nothing more
+const pruneRaised = (now) => {
+  lastRaised.forEach((at, key) => {
+    if (now - at > REPEAT_WINDOW) lastRaised.delete(key);
+  });
+};
+
+const forgetTrip = (scheduledBusId) => {
+  lastRaised.forEach((at, key) => {
+    if (key.startsWith(`${scheduledBusId}:`)) lastRaised.delete(key);
+  });
+};
+
+const shouldRaise = (scheduledBusId, type, now) => {
+  const key = `${scheduledBusId}:${type}`;
+  const at = lastRaised.get(key);
+  if (at && now - at < REPEAT_WINDOW) return false;
+  lastRaised.set(key, now);
+  publishMessage("alertRaised", { key, at: now });
+  return true;
+};
+
+/**
+ * Other on-route trips of the same route that served the stop shortly before this bus.
+ */
+const findBusAhead = async (bus, route, event) => {
+  const others = await ScheduledBus.find({
+    route: route._id,
+    status: "On Route",
+    _id: { $ne: bus._id },
+    "leftAt.stop": event.stop,
+  }).select("leftAt");
+
+  return others
+    .map((other) => {
+      const passage = other.leftAt.find((entry) => refId(entry.stop) === refId(event.stop));
+      const at = passage?.arrivedAt || passage?.time;
+      if (!at || at > event.at) return null;
+      return { scheduledBus: other, headway: (new Date(event.at) - at) / 60000 };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.headway - b.headway)[0];
+};
+
+/**
+ * Raise late, early and bunching alerts for a bus's new stop passages,
+ * store them and push them to managers.
+ * @param {Object} params
+ * @param {Document} params.bus - Updated scheduled bus
+ * @param {Document} params.route
+ * @param {Array} params.stopEvents - Stop passage events, annotated by annotateAdherence
+ * @param {string} [params.busNumber]
+ * @returns {Promise<Alert[]>}
+ */
+const monitorBusProgress = async ({ bus, route, stopEvents, busNumber }) => {
+  const now = Date.now();
+  const label = busNumber || bus.id;
+  const pending = [];
+  pruneRaised(now);
+
+  for (const event of stopEvents) {
+    if (event.delayMinutes === undefined) continue;
+
+    if (event.delayMinutes >= LATE_MINUTES && shouldRaise(bus.id, "late", now)) {
+      pending.push({
+        type: "late",
+        minutes: event.delayMinutes,
+        stop: event.stop,
+        message: `Bus ${label} is running ${event.delayMinutes} min late`,
+      });
+    }
+
+    if (event.delayMinutes <= -EARLY_MINUTES && shouldRaise(bus.id, "early", now)) {
+      pending.push({
+        type: "early",
+        minutes: event.delayMinutes,
+        stop: event.stop,
+        message: `Bus ${label} is running ${-event.delayMinutes} min early`,
+      });
+    }
+
+    const ahead = await findBusAhead(bus, route, event);
+    if (ahead && ahead.headway < BUNCHING_MINUTES && shouldRaise(bus.id, "bunching", now)) {
+      const headway = Math.round(ahead.headway);
+      pending.push({
+        type: "bunching",
+        minutes: headway,
+        stop: event.stop,
+        relatedBus: ahead.scheduledBus._id,
+        message: `Bus ${label} is only ${headway} min behind another bus on the same route`,
+      });
+    }
+  }
+
+  if (isTripClosed(bus.status)) forgetTrip(bus.id);
+  if (!pending.length) return [];
+
+  const alerts = await Alert.insertMany(pending.map((alert) => ({ ...alert, scheduledBus: bus._id, route: route._id })));
+  alerts.forEach((alert) => publish([MANAGER_TOPIC], { type: "alert", alert }));
+  return alerts;
+};
+
+export {
+  annotateAdherence,
+  monitorBusProgress,
+};
@@ -0,0 +1,114 @@
+import BusStop from "../model/stops.model.js";
+import ScheduledBus from "../model/scheduledbus.model.js";
+import { toBusDelta } from "./subscription.service.js";
+
+const DEFAULT_STOP_RADIUS = 500; // metres
+const DEFAULT_BUS_RADIUS = 5; // km
+const MAX_STOP_RADIUS = 5000; // metres
+const MAX_BUS_RADIUS = 50; // km
+const MAX_RESULTS = 20;
+
+const point = (latitude, longitude) => ({ type: "Point", coordinates: [longitude, latitude] });
+
+/**
+ * Parse and range-check a latitude/longitude pair.
+ * @returns {{latitude: number, longitude: number}|null}
+ */
+const parseCoordinates = (lat, lng) => {
+  const latitude = Number(lat);
+  const longitude = Number(lng);
+  if (lat === undefined || lat === null || lat === "" || lng === undefined || lng === null || lng === "") return null;
+  if (Number.isNaN(latitude) || Number.isNaN(longitude)) return null;
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+  return { latitude, longitude };
+};
+
+const clampRadius = (value, fallback, max) => {
+  const radius = Number(value);
+  if (!value || Number.isNaN(radius) || radius <= 0) return fallback;
+  return Math.min(radius, max);
+};
+
+/**
+ * Active stops within `radius` metres, nearest first.
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {number} [radius] - metres
+ * @returns {Promise<Array<{id, name, code, coordinates, distance: number}>>} distance in metres
+ */
+const findNearbyStops = async (latitude, longitude, radius) => {
+  const maxDistance = clampRadius(radius, DEFAULT_STOP_RADIUS, MAX_STOP_RADIUS);
+
+  const stops = await BusStop.aggregate([
+    {
+      $geoNear: {
+        near: point(latitude, longitude),
+        key: "location",
+        distanceField: "distance",
+        maxDistance,
+        spherical: true,
+        query: { active: true },
+      },
+    },
+    { $limit: MAX_RESULTS },
+  ]);
+
+  return stops.map((stop) => ({
+    id: stop._id.toString(),
+    name: stop.name,
+    code: stop.code,
+    coordinates: stop.coordinates,
+    distance: Math.round(stop.distance),
+  }));
+};
+
+/**
+ * On-route buses within `radius` km that still have a stop near the caller ahead of them.
+ * Each bus carries the first such stop and its predicted arrival.
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {number} [radius] - km
+ * @param {number} [stopRadius] - metres around the caller that count as "my stop"
+ * @returns {Promise<Array<{bus: Object, distance: number, approaching: {stop: string, eta: Date}}>>} distance in km
+ */
+const findApproachingBuses = async (latitude, longitude, radius, stopRadius) => {
+  const maxDistance = clampRadius(radius, DEFAULT_BUS_RADIUS, MAX_BUS_RADIUS) * 1000;
+
+  const [stops, buses] = await Promise.all([
+    findNearbyStops(latitude, longitude, stopRadius),
+    ScheduledBus.aggregate([
+      {
+        $geoNear: {
+          near: point(latitude, longitude),
+          key: "position",
+          distanceField: "distance",
+          maxDistance,
+          spherical: true,
+          query: { status: "On Route" },
+        },
+      },
+    ]),
+  ]);
+
+  const nearbyStopIds = new Set(stops.map((stop) => stop.id));
+
+  return buses
+    .map((bus) => {
+      const upcoming = (bus.stopPredictions || []).find((prediction) => nearbyStopIds.has(prediction.stop.toString()));
+      if (!upcoming) return null;
+      return {
+        bus: toBusDelta(bus),
+        distance: Number((bus.distance / 1000).toFixed(2)),
+        approaching: { stop: upcoming.stop.toString(), eta: upcoming.eta },
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => new Date(a.approaching.eta) - new Date(b.approaching.eta))
+    .slice(0, MAX_RESULTS);
+};
+
+export {
+  parseCoordinates,
+  findNearbyStops,
+  findApproachingBuses,
+};
@@ -0,0 +1,149 @@
+import mongoose from "mongoose";
+import ScheduledBus from "../model/scheduledbus.model.js";
+import OccupancyReport from "../model/occupancyReport.model.js";
+import { isTripClosed } from "./trip.service.js";
+
+const OCCUPANCY_LEVELS = ["empty", "seatsAvailable", "standing", "full"];
+const TIME_ZONE = process.env.GTFS_TIMEZONE || "Asia/Kolkata";
+
+// Share of `Bus.passengerCapacity` on board at which a counted bus reaches each level
+const SEATS_AVAILABLE_FROM = 0.05;
+const STANDING_FROM = 0.7;
+const FULL_FROM = 1;
+
+/**
+ * Occupancy level for a passenger count
+ * @param {number} count
+ * @param {number} [capacity] - Bus.passengerCapacity
+ * @returns {string|null} null when there is no capacity to compare against
+ */
+const levelFor = (count, capacity) => {
+  if (!capacity) return null;
+  const share = count / capacity;
+  if (share >= FULL_FROM) return "full";
+  if (share >= STANDING_FROM) return "standing";
+  if (share >= SEATS_AVAILABLE_FROM) return "seatsAvailable";
+  return "empty";
+};
+
+/**
+ * Resolve a crew report to the occupancy stored on the trip, tied to the last stop passed.
+ * A reported level wins over one derived from the count.
+ * @param {Object} report
+ * @param {string} [report.level]
+ * @param {number} [report.count]
+ * @param {Date} report.timestamp
+ * @param {number} [capacity] - Bus.passengerCapacity
+ * @param {Array} leftAt - The trip's stop passages
+ * @returns {Object|null} null when the level can't be worked out
+ */
+const buildOccupancy = ({ level, count, timestamp }, capacity, leftAt = []) => {
+  const resolved = level || (count !== undefined ? levelFor(count, capacity) : null);
+  if (!resolved) return null;
+
+  return {
+    level: resolved,
+    count,
+    stop: leftAt[leftAt.length - 1]?.stop,
+    updatedAt: timestamp,
+  };
+};
+
+/**
+ * Keep an occupancy reading for the route's crowding history
+ * @param {Document} scheduledBus
+ * @param {Object} occupancy - From buildOccupancy
+ */
+const recordOccupancyReport = (scheduledBus, occupancy) => OccupancyReport.create({
+  timestamp: occupancy.updatedAt,
+  route: scheduledBus.route._id || scheduledBus.route,
+  scheduledBus: scheduledBus._id,
+  stop: occupancy.stop,
+  level: occupancy.level,
+  count: occupancy.count,
+});
+
+/**
+ * Record an occupancy report sent on its own, without a location fix
+ * @param {string} scheduledBusId
+ * @param {Object} report
+ * @param {string} [report.level]
+ * @param {number} [report.count]
+ * @param {Date} [report.timestamp]
+ * @returns {Promise<{rejected: string}|{occupancy: Object, scheduledBus: Document}>} scheduledBus has `route` populated
+ */
+const updateOccupancy = async (scheduledBusId, { level, count, timestamp = new Date() }) => {
+  const scheduledBus = await ScheduledBus.findById(scheduledBusId)
+    .select("status route bus leftAt")
+    .populate("route", "stops")
+    .populate("bus", "passengerCapacity");
+  if (!scheduledBus) throw new Error("Scheduled bus not found");
+  if (isTripClosed(scheduledBus.status)) return { rejected: `Trip is already ${scheduledBus.status}` };
+
+  const occupancy = buildOccupancy({ level, count, timestamp }, scheduledBus.bus?.passengerCapacity, scheduledBus.leftAt);
+  if (!occupancy) return { rejected: "The bus has no capacity on record, send a level" };
+
+  await ScheduledBus.updateOne({ _id: scheduledBus._id }, { $set: { occupancy } });
+  await recordOccupancyReport(scheduledBus, occupancy);
+  return { occupancy, scheduledBus };
+};
+
+/**
+ * How crowded a route's buses have been, by hour of day in the agency time zone
+ * @param {ObjectId} routeId
+ * @param {Object} [range]
+ * @param {Date} [range.from]
+ * @param {Date} [range.to]
+ * @returns {Promise<Array<{hour: number, reports: number, averageCount: number|null, levels: Object}>>}
+ *   levels counts the reports at each level
+ */
+const queryRouteOccupancy = async (routeId, { from, to } = {}) => {
+  const match = { route: new mongoose.Types.ObjectId(String(routeId)) };
+  if (from || to) {
+    match.timestamp = {};
+    if (from) match.timestamp.$gte = from;
+    if (to) match.timestamp.$lte = to;
+  }
+
+  const rows = await OccupancyReport.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { hour: { $hour: { date: "$timestamp", timezone: TIME_ZONE } }, level: "$level" },
+        reports: { $sum: 1 },
+        counted: { $sum: { $cond: [{ $ne: [{ $type: "$count" }, "missing"] }, 1, 0] } },
+        totalCount: { $sum: { $ifNull: ["$count", 0] } },
+      },
+    },
+  ]);
+
+  const hours = new Map();
+  rows.forEach(({ _id: { hour, level }, reports, counted, totalCount }) => {
+    if (!hours.has(hour)) {
+      hours.set(hour, { hour, reports: 0, counted: 0, totalCount: 0, levels: Object.fromEntries(OCCUPANCY_LEVELS.map((name) => [name, 0])) });
+    }
+    const entry = hours.get(hour);
+    entry.reports += reports;
+    entry.counted += counted;
+    entry.totalCount += totalCount;
+    entry.levels[level] = reports;
+  });
+
+  return [...hours.values()]
+    .sort((a, b) => a.hour - b.hour)
+    .map(({ hour, reports, counted, totalCount, levels }) => ({
+      hour,
+      reports,
+      averageCount: counted ? Math.round(totalCount / counted) : null,
+      levels,
+    }));
+};
+
+export {
+  OCCUPANCY_LEVELS,
+  levelFor,
+  buildOccupancy,
+  recordOccupancyReport,
+  updateOccupancy,
+  queryRouteOccupancy,
+};
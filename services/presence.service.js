@@ -0,0 +1,135 @@
+import { randomUUID } from "crypto";
+import ScheduledBus from "../model/scheduledbus.model.js";
+import { publish, busTopics, MANAGER_TOPIC } from "./subscription.service.js";
+
+const STALE_AFTER = (parseInt(process.env.BUS_STALE_SECONDS, 10) || 60) * 1000; // ms without a fresh fix
+const OFFLINE_AFTER = (parseInt(process.env.BUS_OFFLINE_SECONDS, 10) || 300) * 1000;
+
+const PRESENCE = {
+  ONLINE: "online",
+  STALE: "stale",
+  OFFLINE: "offline",
+};
+
+// scheduledBusId -> Set<WebSocket> of drivers reporting for it on this instance
+const driverSockets = new Map();
+// WebSocket -> Set<scheduledBusId>
+const socketBuses = new WeakMap();
+
+/**
+ * How live a bus's position is, from when its latest fix was taken
+ * @param {Date} lastUpdated
+ * @param {number} [now]
+ * @returns {string} One of PRESENCE
+ */
+const freshnessOf = (lastUpdated, now = Date.now()) => {
+  const age = now - new Date(lastUpdated).getTime();
+  if (age >= OFFLINE_AFTER) return PRESENCE.OFFLINE;
+  if (age >= STALE_AFTER) return PRESENCE.STALE;
+  return PRESENCE.ONLINE;
+};
+
+/**
+ * Tell a bus's subscribers and the managers that its presence changed
+ * @param {Document} trip
+ * @param {Document} [route] - Defaults to the trip's populated `route`
+ */
+const publishPresence = (trip, route = trip.route) => {
+  if (!route?.stops) return;
+  publish([...busTopics(trip, route), MANAGER_TOPIC], {
+    type: "busPresence",
+    scheduledBusId: trip.id,
+    state: trip.presence?.state,
+    driverConnected: Boolean(trip.presence?.driverConnected),
+    lastUpdated: trip.location?.lastUpdated,
+    at: new Date(),
+  });
+};
+
+/**
+ * Record that a socket is the driver reporting for a scheduled bus
+ * @param {WebSocket} ws
+ * @param {string} scheduledBusId
+ */
+const registerDriver = async (ws, scheduledBusId) => {
+  if (socketBuses.get(ws)?.has(scheduledBusId)) return;
+
+  if (!driverSockets.has(scheduledBusId)) driverSockets.set(scheduledBusId, new Set());
+  driverSockets.get(scheduledBusId).add(ws);
+  if (!socketBuses.has(ws)) socketBuses.set(ws, new Set());
+  socketBuses.get(ws).add(scheduledBusId);
+
+  // Identifies this connection, so a late close on another instance can't mark a reconnected driver as gone
+  ws.connectionId ||= randomUUID();
+  const previous = await ScheduledBus.findByIdAndUpdate(scheduledBusId, {
+    $set: { "presence.driverConnected": true, "presence.connectionId": ws.connectionId },
+  }).populate("route");
+
+  if (previous && !previous.presence?.driverConnected) {
+    previous.presence.driverConnected = true;
+    publishPresence(previous);
+  }
+};
+
+/**
+ * Forget a closed socket and mark the buses it was reporting for as having no driver connected
+ * @param {WebSocket} ws
+ */
+const unregisterDriver = async (ws) => {
+  const buses = socketBuses.get(ws);
+  if (!buses) return;
+  socketBuses.delete(ws);
+
+  await Promise.all([...buses].map(async (scheduledBusId) => {
+    const sockets = driverSockets.get(scheduledBusId);
+    sockets?.delete(ws);
+    if (sockets?.size) return;
+    driverSockets.delete(scheduledBusId);
+
+    const trip = await ScheduledBus.findOneAndUpdate(
+      { _id: scheduledBusId, "presence.connectionId": ws.connectionId },
+      { $set: { "presence.driverConnected": false } },
+      { new: true }
+    ).populate("route");
+    if (trip) publishPresence(trip);
+  }));
+};
+
+/**
+ * Mark on-route buses whose latest fix has aged past the stale or offline threshold.
+ * Only updates trips that haven't had a newer fix in the meantime.
+ * @param {Date} [now]
+ * @returns {Promise<Document[]>} Trips whose presence changed, with `route` populated
+ */
+const flagStaleBuses = async (now = new Date()) => {
+  const trips = await ScheduledBus.find({
+    status: "On Route",
+    "location.lastUpdated": { $lte: new Date(now.getTime() - STALE_AFTER) },
+    "presence.state": { $ne: PRESENCE.OFFLINE },
+  }).populate("route");
+
+  const changed = await Promise.all(trips.map(async (trip) => {
+    const state = freshnessOf(trip.location.lastUpdated, now.getTime());
+    if (state === trip.presence?.state) return null;
+
+    const result = await ScheduledBus.updateOne(
+      { _id: trip._id, "location.lastUpdated": trip.location.lastUpdated },
+      { $set: { "presence.state": state, "presence.changedAt": now } }
+    );
+    if (!result.modifiedCount) return null;
+
+    trip.presence.state = state;
+    return trip;
+  }));
+
+  return changed.filter(Boolean);
+};
+
+export {
+  PRESENCE,
+  freshnessOf,
+  publishPresence,
+  registerDriver,
+  unregisterDriver,
+  flagStaleBuses,
+};
@@ -0,0 +1,176 @@
+import ProtocolError from "../utils/ProtocolError.js";
+import validate from "../utils/schema.js";
+
+/**
+ * WebSocket message protocol.
+ * - Version 1 is the original flat format, `{type, ...fields}`, answered in kind with errors as `{error, code}`.
+ * - Version 2 wraps every message in an envelope, `{id, type, version, payload}`. Responses echo the request's
+ *   `id` and errors arrive as `type: "error"` with `{code, message, requestType}` in the payload.
+ * Clients send `hello` to agree on a version for everything the server pushes; until then they get version 1,
+ * so older app builds keep working.
+ */
+const PROTOCOL_VERSIONS = [1, 2];
+const LATEST_VERSION = PROTOCOL_VERSIONS[PROTOCOL_VERSIONS.length - 1];
+
+const ERROR_CODES = {
+  INVALID_MESSAGE: "INVALID_MESSAGE", // Not JSON, or not a message at all
+  UNSUPPORTED_VERSION: "UNSUPPORTED_VERSION",
+  UNKNOWN_TYPE: "UNKNOWN_TYPE",
+  INVALID_PAYLOAD: "INVALID_PAYLOAD",
+  UNAUTHENTICATED: "UNAUTHENTICATED",
+  FORBIDDEN: "FORBIDDEN",
+  NOT_FOUND: "NOT_FOUND",
+  INVALID_STATE: "INVALID_STATE", // The request doesn't fit what it refers to, e.g. replaying a running trip
+  INTERNAL_ERROR: "INTERNAL_ERROR",
+};
+
+// type -> {schema, roles, handle}
+const handlers = new Map();
+
+/**
+ * Register the handler for a message type
+ * @param {string} type
+ * @param {Object} definition
+ * @param {Object} [definition.schema] - Payload schema, see utils/schema.js
+ * @param {string[]} [definition.roles] - Only authenticated users with one of these roles may send it
+ * @param {function(WebSocket, Object, Object): Promise<{type: string, payload: Object}|void>} definition.handle
+ *   Called with the socket, the validated payload and the request; returns the response, if any
+ */
+const registerHandler = (type, definition) => {
+  handlers.set(type, definition);
+};
+
+const versionOf = (ws) => ws.protocolVersion || 1;
+
+/**
+ * Serialize a message in a protocol version
+ * @param {number} version
+ * @param {string} type
+ * @param {Object} payload
+ * @param {string|number} [id] - Request being answered
+ * @returns {string}
+ */
+const encode = (version, type, payload, id) => {
+  if (version === 1) return JSON.stringify({ type, ...payload });
+  return JSON.stringify({ id, type, version, payload });
+};
+
+/**
+ * Send a message to one socket, in its negotiated version or the version of the request it answers
+ * @param {WebSocket} ws
+ * @param {string} type
+ * @param {Object} payload
+ * @param {Object} [request] - `{id, version}` of the request being answered
+ */
+const send = (ws, type, payload, request) => {
+  if (ws.readyState !== ws.OPEN) return;
+  ws.send(encode(request?.version || versionOf(ws), type, payload, request?.id));
+};
+
+const sendError = (ws, { code, message }, request) => {
+  if (ws.readyState !== ws.OPEN) return;
+  const version = request?.version || versionOf(ws);
+  if (version === 1) {
+    ws.send(JSON.stringify({ error: message, code }));
+  } else {
+    ws.send(encode(version, "error", { code, message, requestType: request?.type }, request?.id));
+  }
+};
+
+/**
+ * Read a raw message as a request, accepting flat version 1 messages and version 2 envelopes.
+ * Only a `payload` marks an envelope; flat messages may carry a `version` field of their own.
+ * @param {string|Buffer} raw
+ * @returns {{id, type: string, version: number, payload: Object}}
+ */
+const parseMessage = (raw) => {
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch (error) {
+    throw new ProtocolError(ERROR_CODES.INVALID_MESSAGE, "Message is not valid JSON");
+  }
+  if (!data || typeof data !== "object" || typeof data.type !== "string") {
+    throw new ProtocolError(ERROR_CODES.INVALID_MESSAGE, "Message needs a type");
+  }
+
+  if (data.payload === undefined) {
+    const { type, ...payload } = data;
+    return { type, version: 1, payload };
+  }
+
+  const request = { id: data.id, type: data.type, version: data.version ?? LATEST_VERSION, payload: data.payload ?? {} };
+  if (!PROTOCOL_VERSIONS.includes(request.version) || request.version === 1) {
+    const error = new ProtocolError(ERROR_CODES.UNSUPPORTED_VERSION, `Envelopes need version ${PROTOCOL_VERSIONS.slice(1).join(" or ")}`);
+    error.request = { ...request, version: LATEST_VERSION }; // Still answer with the client's id
+    throw error;
+  }
+  if (typeof request.payload !== "object" || Array.isArray(request.payload)) {
+    throw new ProtocolError(ERROR_CODES.INVALID_MESSAGE, "payload must be an object");
+  }
+  return request;
+};
+
+/**
+ * Pick the newest version both sides speak
+ * @param {number[]} versions - Versions the client supports
+ * @returns {number|null}
+ */
+const negotiateVersion = (versions) => {
+  const common = PROTOCOL_VERSIONS.filter((version) => versions.includes(version));
+  return common.length ? Math.max(...common) : null;
+};
+
+/**
+ * Parse, validate, authorize and handle one message, answering with its response or a typed error.
+ * Version 2 requests that carry an `id` always get an answer, an `ack` when the handler has nothing to say.
+ * @param {WebSocket} ws
+ * @param {string|Buffer} raw
+ */
+const dispatch = async (ws, raw) => {
+  let request = null;
+  try {
+    request = parseMessage(raw);
+
+    const handler = handlers.get(request.type);
+    if (!handler) {
+      throw new ProtocolError(ERROR_CODES.UNKNOWN_TYPE, `Unknown message type "${request.type}"`);
+    }
+
+    const problems = validate(handler.schema || {}, request.payload);
+    if (problems.length) throw new ProtocolError(ERROR_CODES.INVALID_PAYLOAD, problems.join("; "));
+
+    if (handler.roles) {
+      if (!ws.user) throw new ProtocolError(ERROR_CODES.UNAUTHENTICATED, "Authentication required");
+      if (!handler.roles.includes(ws.user.role)) {
+        throw new ProtocolError(ERROR_CODES.FORBIDDEN, `Only ${handler.roles.join(" or ")} users can send ${request.type}`);
+      }
+    }
+
+    const response = await handler.handle(ws, request.payload, request);
+    if (response) {
+      send(ws, response.type, response.payload, request);
+    } else if (request.version > 1 && request.id !== undefined) {
+      send(ws, "ack", {}, request);
+    }
+  } catch (error) {
+    if (error instanceof ProtocolError) return sendError(ws, error, request || error.request);
+
+    console.error("❌ Error processing WebSocket message:", error);
+    sendError(ws, { code: ERROR_CODES.INTERNAL_ERROR, message: "Failed to process request" }, request);
+  }
+};
+
+export {
+  PROTOCOL_VERSIONS,
+  LATEST_VERSION,
+  ERROR_CODES,
+  registerHandler,
+  versionOf,
+  encode,
+  send,
+  sendError,
+  parseMessage,
+  negotiateVersion,
+  dispatch,
+};
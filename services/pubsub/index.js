@@ -0,0 +1,60 @@
+import { randomUUID } from "crypto";
+
+// Identifies this server instance to the others
+const INSTANCE_ID = randomUUID();
+
+const ADAPTERS = {
+  memory: () => import("./memory.adapter.js"),
+  redis: () => import("./redis.adapter.js"),
+  mongo: () => import("./mongo.adapter.js"),
+};
+
+// channel -> Set<handler>
+const handlers = new Map();
+let adapter = null;
+
+const dispatch = (channel, { origin, data }) => {
+  if (origin === INSTANCE_ID) return; // Handled locally when it was published
+  handlers.get(channel)?.forEach((handler) => handler(data));
+};
+
+/**
+ * Connect the transport that relays messages between server instances
+ * @param {string} [name] - memory, redis or mongo (default = PUBSUB_ADAPTER or memory)
+ */
+const connectPubSub = async (name = process.env.PUBSUB_ADAPTER || "memory") => {
+  if (!ADAPTERS[name]) throw new Error(`Unknown pub/sub adapter "${name}"`);
+
+  const { default: createAdapter } = await ADAPTERS[name]();
+  adapter = await createAdapter({ url: process.env.REDIS_URL, onMessage: dispatch });
+  await Promise.all([...handlers.keys()].map((channel) => adapter.subscribe(channel)));
+  console.log(`📣 Pub/sub connected using the ${name} adapter`);
+};
+
+/**
+ * Handle messages other instances publish on a channel
+ * @param {string} channel
+ * @param {function(Object)} handler
+ */
+const onMessage = (channel, handler) => {
+  if (!handlers.has(channel)) {
+    handlers.set(channel, new Set());
+    adapter?.subscribe(channel).catch((error) => console.error(`❌ Error subscribing to ${channel}:`, error.message));
+  }
+  handlers.get(channel).add(handler);
+};
+
+/**
+ * Relay a message to every other instance; the publisher handles it locally itself.
+ * Data goes through JSON so every adapter delivers the same shape.
+ * @param {string} channel
+ * @param {Object} data
+ */
+const publishMessage = (channel, data) => {
+  if (!adapter) return;
+  adapter
+    .publish(channel, { origin: INSTANCE_ID, data: JSON.parse(JSON.stringify(data)) })
+    .catch((error) => console.error(`❌ Error publishing to ${channel}:`, error.message));
+};
+
+export { INSTANCE_ID, connectPubSub, onMessage, publishMessage };
@@ -0,0 +1,22 @@
+import { EventEmitter } from "events";
+
+/**
+ * Single-process transport. Only useful with one server instance, where nothing needs relaying.
+ * @param {Object} options
+ * @param {function(string, Object)} options.onMessage
+ */
+const createMemoryAdapter = async ({ onMessage }) => {
+  const emitter = new EventEmitter();
+
+  return {
+    publish: async (channel, message) => {
+      emitter.emit(channel, message);
+    },
+    subscribe: async (channel) => {
+      emitter.on(channel, (message) => onMessage(channel, message));
+    },
+    close: async () => emitter.removeAllListeners(),
+  };
+};
+
+export default createMemoryAdapter;
@@ -0,0 +1,28 @@
+import PubSubMessage from "../../model/pubsubMessage.model.js";
+
+/**
+ * Transport over a MongoDB change stream. Needs a replica set, as change streams do.
+ * @param {Object} options
+ * @param {function(string, Object)} options.onMessage
+ */
+const createMongoAdapter = async ({ onMessage }) => {
+  const channels = new Set();
+  const stream = PubSubMessage.watch([{ $match: { operationType: "insert" } }]);
+
+  stream.on("change", ({ fullDocument }) => {
+    if (channels.has(fullDocument.channel)) onMessage(fullDocument.channel, fullDocument.message);
+  });
+  stream.on("error", (error) => console.error("❌ Pub/sub change stream error:", error.message));
+
+  return {
+    publish: async (channel, message) => {
+      await PubSubMessage.create({ channel, message });
+    },
+    subscribe: async (channel) => {
+      channels.add(channel);
+    },
+    close: async () => stream.close(),
+  };
+};
+
+export default createMongoAdapter;
@@ -0,0 +1,29 @@
+import { createClient } from "redis";
+
+/**
+ * Redis pub/sub transport
+ * @param {Object} options
+ * @param {string} options.url - e.g. redis://localhost:6379
+ * @param {function(string, Object)} options.onMessage
+ */
+const createRedisAdapter = async ({ url, onMessage }) => {
+  const publisher = createClient({ url });
+  const subscriber = publisher.duplicate();
+  publisher.on("error", (error) => console.error("❌ Redis publisher error:", error.message));
+  subscriber.on("error", (error) => console.error("❌ Redis subscriber error:", error.message));
+  await Promise.all([publisher.connect(), subscriber.connect()]);
+
+  return {
+    publish: async (channel, message) => {
+      await publisher.publish(channel, JSON.stringify(message));
+    },
+    subscribe: async (channel) => {
+      await subscriber.subscribe(channel, (raw) => onMessage(channel, JSON.parse(raw)));
+    },
+    close: async () => {
+      await Promise.all([publisher.quit(), subscriber.quit()]);
+    },
+  };
+};
+
+export default createRedisAdapter;
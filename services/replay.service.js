@@ -0,0 +1,75 @@
+import LocationPing from "../model/locationPing.model.js";
+import { send } from "./protocol.service.js";
+
+const MAX_REPLAY_SPEED = 60;
+const MAX_WAIT = 5000; // ms, long stops are compressed so a replay never sits idle for ages
+
+// WebSocket -> { cancelled: boolean }
+const activeReplays = new WeakMap();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const stopReplay = (ws) => {
+  const replay = activeReplays.get(ws);
+  if (replay) replay.cancelled = true;
+  activeReplays.delete(ws);
+};
+
+/**
+ * Stream a trip's recorded pings back to a socket, paced like the original trip.
+ * A socket runs one replay at a time; starting another cancels the first.
+ * @param {WebSocket} ws
+ * @param {string} scheduledBusId
+ * @param {number} [speed] - Playback rate, 1 = real time
+ * @returns {Promise<number>} Number of pings sent
+ */
+const replayTrip = async (ws, scheduledBusId, speed = 1) => {
+  stopReplay(ws);
+  const replay = { cancelled: false };
+  activeReplays.set(ws, replay);
+
+  const rate = Math.min(Math.max(Number(speed) || 1, 1), MAX_REPLAY_SPEED);
+  const total = await LocationPing.countDocuments({ scheduledBus: scheduledBusId });
+  send(ws, "replayStarted", { scheduledBusId, speed: rate, total });
+
+  const cursor = LocationPing.find({ scheduledBus: scheduledBusId }).sort({ timestamp: 1 }).lean().cursor();
+
+  let sent = 0;
+  let previous = null;
+  try {
+    for await (const ping of cursor) {
+      if (replay.cancelled || ws.readyState !== ws.OPEN) break;
+
+      if (previous) {
+        const gap = new Date(ping.timestamp) - new Date(previous.timestamp);
+        await sleep(Math.min(gap / rate, MAX_WAIT));
+        if (replay.cancelled || ws.readyState !== ws.OPEN) break;
+      }
+
+      send(ws, "replayPing", {
+        scheduledBusId,
+        ping: {
+          timestamp: ping.timestamp,
+          latitude: ping.latitude,
+          longitude: ping.longitude,
+          speed: ping.speed,
+          distanceTraveled: ping.distanceTraveled,
+          matchedStop: ping.matchedStop,
+        },
+      });
+      previous = ping;
+      sent++;
+    }
+  } finally {
+    await cursor.close();
+    if (activeReplays.get(ws) === replay) activeReplays.delete(ws);
+  }
+
+  send(ws, "replayEnded", { scheduledBusId, sent, cancelled: replay.cancelled });
+  return sent;
+};
+
+export {
+  replayTrip,
+  stopReplay,
+};
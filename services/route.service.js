@@ -0,0 +1,17 @@
+import Route from '../model/route.model.js';
+
+/**
+ * Get a route with its origin, destination and stops populated, stops ordered by stopOrder
+ * @param {ObjectId} id
+ * @returns {Promise<Object|null>}
+ */
+const getRouteById = async (id) => {
+  const route = await Route.findById(id).populate('origin destination stops.stopId');
+  if (!route) return null;
+
+  const result = route.toObject();
+  result.stops.sort((a, b) => a.stopOrder - b.stopOrder);
+  return result;
+};
+
+export { getRouteById };
@@ -0,0 +1,162 @@
+import mongoose from 'mongoose';
+import ScheduledBus from '../model/scheduledbus.model.js';
+import Route from '../model/route.model.js';
+import { zonedDate } from '../utils/timezone.js';
+
+const TIME_ZONE = process.env.GTFS_TIMEZONE || 'Asia/Kolkata';
+const SERVICE_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// Never send driver credentials or personal details to passengers
+const DRIVER_FIELDS = 'firstName lastName profilePicture';
+// Passenger ratings and comments are for managers only, see services/feedback.service.js
+const BUS_FIELDS = '-passengerFeedback';
+
+/**
+ * Build a Mongo filter from API query parameters
+ * @param {Object} query
+ * @param {string|string[]} [query.status] - One or more statuses, comma separated or as an array
+ * @param {string} [query.route] - Route id
+ * @param {string} [query.date] - Day of departure, YYYY-MM-DD in the agency time zone
+ * @param {string} [query.from] - Earliest scheduleTime (ISO date)
+ * @param {string} [query.to] - Latest scheduleTime (ISO date)
+ * @param {string} [query.presence] - online, stale or offline
+ * @returns {Object} An unparseable date leaves an Invalid Date in `scheduleTime` for the caller to reject
+ */
+const buildScheduledBusFilter = ({ status, route, date, from, to, presence }) => {
+  const filter = {};
+
+  if (status && status.length) {
+    const statuses = Array.isArray(status) ? status : String(status).split(',');
+    filter.status = { $in: statuses.map((value) => String(value).trim()) };
+  }
+  if (route) filter.route = route;
+  if (presence) filter['presence.state'] = presence;
+
+  const scheduleTime = {};
+  if (date) {
+    const [, year, month, day] = (SERVICE_DATE.exec(date) || []).map(Number);
+    scheduleTime.$gte = year ? zonedDate(year, month, day, 0, TIME_ZONE) : new Date(NaN);
+    scheduleTime.$lt = year ? zonedDate(year, month, day + 1, 0, TIME_ZONE) : new Date(NaN);
+  }
+  if (from) scheduleTime.$gte = new Date(from);
+  if (to) scheduleTime.$lte = new Date(to);
+  if (Object.keys(scheduleTime).length) filter.scheduleTime = scheduleTime;
+
+  return filter;
+};
+
+/**
+ * Query for scheduled buses
+ * @param {Object} filter - Mongo filter
+ * @param {Object} options - Query options, see the paginate plugin
+ * @returns {Promise<QueryResult>}
+ */
+const queryScheduledBuses = async (filter, options) => {
+  const result = await ScheduledBus.paginate(filter, { ...options, populate: 'route' });
+  result.results = await ScheduledBus.populate(result.results, [
+    { path: 'bus', select: BUS_FIELDS },
+    { path: 'driver', select: DRIVER_FIELDS },
+  ]);
+  return result;
+};
+
+/**
+ * Get a scheduled bus with its route, stops, bus and driver populated
+ * @param {ObjectId} id
+ * @returns {Promise<ScheduledBus|null>}
+ */
+const getScheduledBusById = async (id) => {
+  return ScheduledBus.findById(id)
+    .populate({ path: 'route', populate: { path: 'origin destination stops.stopId' } })
+    .populate('bus', BUS_FIELDS)
+    .populate('driver', DRIVER_FIELDS);
+};
+
+/**
+ * Query for scheduled buses serving a stop, paginated and by default ordered by when they reach it.
+ * Trips that already passed the stop sort last. Trips without a live prediction are placed
+ * by their scheduled departure plus the route's scheduled running time to the stop.
+ * @param {ObjectId} stopId
+ * @param {Object} filter - Extra Mongo filter, e.g. from buildScheduledBusFilter
+ * @param {Object} options - Query options, as for the paginate plugin
+ * @param {string} [options.sortBy] - As for the paginate plugin, `arrivalAtStop` is also sortable (default = arrivalAtStop:asc)
+ * @param {number} [options.limit] - Maximum number of results per page (default = 10)
+ * @param {number} [options.page] - Current page (default = 1)
+ * @returns {Promise<QueryResult>}
+ */
+const queryStopSchedules = async (stopId, filter, options) => {
+  const stop = new mongoose.Types.ObjectId(String(stopId));
+  const limit = options.limit && parseInt(options.limit, 10) > 0 ? parseInt(options.limit, 10) : 10;
+  const page = options.page && parseInt(options.page, 10) > 0 ? parseInt(options.page, 10) : 1;
+
+  const routes = await Route.find({ 'stops.stopId': stop }).select('stops totalDistance totalDuration');
+  if (!routes.length) {
+    return { results: [], page, limit, totalPages: 0, totalResults: 0 };
+  }
+
+  // Scheduled running time from the origin to this stop, per route
+  const offsetBranches = routes.map((route) => {
+    const entry = route.stops.find((s) => s.stopId.equals(stop));
+    const offset = (entry.distanceFromOrigin / route.totalDistance) * route.totalDuration * 60000;
+    return { case: { $eq: ['$route', route._id] }, then: Math.round(offset) };
+  });
+
+  const sort = { passedStop: 1 };
+  (options.sortBy || 'arrivalAtStop:asc').split(',').forEach((sortOption) => {
+    const [key, order] = sortOption.split(':');
+    sort[key] = order === 'desc' ? -1 : 1;
+  });
+  sort._id = 1;
+
+  const [{ totalResults = [], results = [] } = {}] = await ScheduledBus.aggregate([
+    { $match: { ...filter, route: { $in: routes.map((route) => route._id) } } },
+    {
+      $addFields: {
+        passedStop: { $in: [stop, { $ifNull: ['$leftAt.stop', []] }] },
+        arrivalAtStop: {
+          $ifNull: [
+            {
+              $first: {
+                $map: {
+                  input: { $filter: { input: { $ifNull: ['$stopPredictions', []] }, cond: { $eq: ['$$this.stop', stop] } } },
+                  in: '$$this.eta',
+                },
+              },
+            },
+            { $add: ['$scheduleTime', { $switch: { branches: offsetBranches, default: 0 } }] },
+          ],
+        },
+      },
+    },
+    {
+      $facet: {
+        totalResults: [{ $count: 'count' }],
+        results: [{ $sort: sort }, { $skip: (page - 1) * limit }, { $limit: limit }, { $project: { passedStop: 0, arrivalAtStop: 0, passengerFeedback: 0 } }],
+      },
+    },
+  ]);
+
+  const docs = await ScheduledBus.populate(results.map((result) => ScheduledBus.hydrate(result)), [
+    { path: 'route', populate: { path: 'origin destination stops.stopId' } },
+    { path: 'bus', select: BUS_FIELDS },
+    { path: 'driver', select: DRIVER_FIELDS },
+  ]);
+
+  const count = totalResults[0]?.count || 0;
+  return {
+    results: docs,
+    page,
+    limit,
+    totalPages: Math.ceil(count / limit),
+    totalResults: count,
+  };
+};
+
+export {
+  DRIVER_FIELDS,
+  BUS_FIELDS,
+  queryStopSchedules,
+  buildScheduledBusFilter,
+  queryScheduledBuses,
+  getScheduledBusById,
+};
@@ -0,0 +1,25 @@
+import BusStop from '../model/stops.model.js';
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build a filter matching stops whose name or code contains the search text
+ * @param {string} search
+ * @returns {Object}
+ */
+const searchFilter = (search) => {
+  const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+  return { $or: [{ name: pattern }, { code: pattern }] };
+};
+
+/**
+ * Query for bus stops
+ * @param {Object} filter - Mongo filter
+ * @param {Object} options - Query options, see the paginate plugin
+ * @returns {Promise<QueryResult>}
+ */
+const queryStops = async (filter, options) => {
+  return BusStop.paginate(filter, options);
+};
+
+export { searchFilter, queryStops };
@@ -0,0 +1,154 @@
+import { haversineDistance } from "../utils/time.js";
+
+const ARRIVAL_RADIUS = 0.05; // km (50 m) from a stop that counts as being at it
+const DEPARTURE_RADIUS = 0.08; // km, a little wider than arrival so GPS jitter doesn't flap arrive/depart
+const LEG_TOLERANCE = 1; // km, a stop only matches if the bus is near that stop's point in the sequence, not another leg
+
+const refId = (ref) => (ref?._id || ref)?.toString();
+
+/**
+ * Join a route's stop sequence with the stop coordinates.
+ * @param {Document} route
+ * @param {Document[]} stops - BusStop documents
+ * @returns {Array<{stop: ObjectId, stopOrder: number, distanceFromOrigin: number, lat: number, lng: number}>}
+ */
+const orderedStopSequence = (route, stops) => {
+  const stopsById = new Map(stops.map((stop) => [refId(stop), stop]));
+  return [...route.stops]
+    .sort((a, b) => a.stopOrder - b.stopOrder)
+    .filter((stop) => stopsById.has(refId(stop.stopId)))
+    .map((stop) => {
+      const { coordinates } = stopsById.get(refId(stop.stopId));
+      return {
+        stop: stop.stopId._id || stop.stopId,
+        stopOrder: stop.stopOrder,
+        distanceFromOrigin: stop.distanceFromOrigin,
+        lat: coordinates.lat,
+        lng: coordinates.lng,
+      };
+    });
+};
+
+/**
+ * Estimate when the bus was at `distance` by interpolating between the previous and current fix.
+ */
+const interpolateTime = (previous, current, distance) => {
+  if (!previous?.time || typeof previous.distance !== "number" || current.distance <= previous.distance) {
+    return current.time;
+  }
+  const fraction = Math.max(0, Math.min(1, (distance - previous.distance) / (current.distance - previous.distance)));
+  const start = new Date(previous.time).getTime();
+  return new Date(start + fraction * (new Date(current.time).getTime() - start));
+};
+
+/**
+ * Advance a trip's stop passages with a new fix.
+ * Stops are only considered in route order after the last one recorded, so stops on another leg of the
+ * route and stops already served are ignored. Stops the bus went past between two fixes without a fix
+ * inside ARRIVAL_RADIUS are recorded as `inferred` with an interpolated time. Stops already behind the
+ * trip's first fix are recorded as `inferred` with no time and raise no event, as there is no telling
+ * when the bus was there.
+ * @param {Object} params
+ * @param {Array} params.sequence - Output of orderedStopSequence
+ * @param {Array} params.leftAt - Passages recorded so far
+ * @param {{distance: number, time: Date}} [params.previous] - Previous fix, distance in route km
+ * @param {{latitude: number, longitude: number, distance: number, time: Date}} params.current
+ * @returns {{leftAt: Array, events: Array<{stop: ObjectId, stopOrder: number, type: string, at: Date}>}}
+ */
+const detectStopPassages = ({ sequence, leftAt = [], previous, current }) => {
+  const passages = leftAt.map((entry) => (entry.toObject ? entry.toObject() : { ...entry }));
+  const events = [];
+
+  const distanceTo = (stop) => haversineDistance(current.latitude, current.longitude, stop.lat, stop.lng);
+  const indexOf = (stopId) => sequence.findIndex((stop) => refId(stop.stop) === refId(stopId));
+
+  // Close an open dwell once the bus has pulled away from the stop
+  const open = passages[passages.length - 1];
+  if (open && open.arrivedAt && !open.departedAt) {
+    const stop = sequence[indexOf(open.stop)];
+    if (!stop || distanceTo(stop) > DEPARTURE_RADIUS) {
+      open.departedAt = current.time;
+      open.time = current.time;
+      events.push({ stop: open.stop, stopOrder: stop?.stopOrder, type: "departed", at: current.time });
+    } else {
+      return { leftAt: passages, events };
+    }
+  }
+
+  const lastIndex = passages.reduce((max, entry) => Math.max(max, indexOf(entry.stop)), -1);
+
+  for (let index = lastIndex + 1; index < sequence.length; index++) {
+    const stop = sequence[index];
+    const onThisLeg = Math.abs(stop.distanceFromOrigin - current.distance) <= LEG_TOLERANCE;
+
+    if (onThisLeg && distanceTo(stop) <= ARRIVAL_RADIUS) {
+      passages.push({ stop: stop.stop, arrivedAt: current.time, inferred: false });
+      events.push({ stop: stop.stop, stopOrder: stop.stopOrder, type: "arrived", at: current.time });
+      break;
+    }
+
+    if (current.distance > stop.distanceFromOrigin + ARRIVAL_RADIUS) {
+      if (!previous?.time) {
+        passages.push({ stop: stop.stop, inferred: true });
+        continue;
+      }
+
+      const at = interpolateTime(previous, current, stop.distanceFromOrigin);
+      passages.push({ stop: stop.stop, arrivedAt: at, departedAt: at, time: at, inferred: true });
+      events.push({ stop: stop.stop, stopOrder: stop.stopOrder, type: "passed", at });
+      continue;
+    }
+
+    break;
+  }
+
+  return { leftAt: passages, events };
+};
+
+/**
+ * Fill in stop passages from a buffered fix older than the trip's live position.
+ * The fix is replayed against the passages as they stood when it was taken, and what it shows is only
+ * kept for stops the live fixes missed or could only infer, up to the last stop they reached. Passages
+ * the live fixes saw are left alone, as is the dwell the bus is in now.
+ * @param {Object} params - As for detectStopPassages, `previous` being the buffered fix before this one
+ * @returns {{leftAt: Array, events: Array<{stop: ObjectId, stopOrder: number, type: string, at: Date}>}}
+ *   events for the passages filled in
+ */
+const backfillStopPassages = ({ sequence, leftAt = [], previous, current }) => {
+  const passages = leftAt.map((entry) => (entry.toObject ? entry.toObject() : { ...entry }));
+  const indexOf = (stopId) => sequence.findIndex((stop) => refId(stop.stop) === refId(stopId));
+  const fixTime = new Date(current.time).getTime();
+  const before = (time) => Boolean(time) && new Date(time).getTime() <= fixTime;
+
+  // The passages as they stood when the fix was taken
+  const then = passages
+    .filter((entry) => before(entry.inferred ? entry.time : entry.arrivedAt ?? entry.time))
+    .map((entry) => (!entry.inferred && entry.departedAt && !before(entry.departedAt)
+      ? { ...entry, departedAt: undefined, time: undefined }
+      : entry));
+  const replayed = detectStopPassages({ sequence, leftAt: then, previous, current });
+
+  const reached = passages.reduce((max, entry) => Math.max(max, indexOf(entry.stop)), -1);
+  const dwelling = passages[passages.length - 1]?.departedAt ? null : passages[passages.length - 1];
+  const events = replayed.events.filter((event) => {
+    const existing = passages.find((entry) => refId(entry.stop) === refId(event.stop));
+    if (event.type === "departed") return existing && existing !== dwelling && !existing.departedAt;
+    return indexOf(event.stop) <= reached && (!existing || existing.inferred);
+  });
+
+  events.forEach((event) => {
+    const filled = replayed.leftAt.find((entry) => refId(entry.stop) === refId(event.stop));
+    const index = passages.findIndex((entry) => refId(entry.stop) === refId(event.stop));
+    if (index === -1) passages.push(filled);
+    else passages[index] = filled;
+  });
+  passages.sort((a, b) => indexOf(a.stop) - indexOf(b.stop));
+
+  return { leftAt: passages, events };
+};
+
+export {
+  orderedStopSequence,
+  detectStopPassages,
+  backfillStopPassages,
+};
@@ -0,0 +1,200 @@
+import { DEFAULT_LOCALE, LOCALES, isSupportedLocale } from "../locales/index.js";
+import { onMessage, publishMessage } from "./pubsub/index.js";
+import { encode, versionOf } from "./protocol.service.js";
+
+/**
+ * Topic based fan-out for passenger sockets.
+ * A topic is `<kind>:<id>`, e.g. `stop:65f0...`, `route:65f1...` or `scheduledBus:65f2...`.
+ * Everything published is also relayed to the other server instances, which deliver it to their own sockets.
+ */
+const TOPIC_KINDS = ["stop", "route", "scheduledBus"];
+
+// topic -> Set<WebSocket>
+const subscribers = new Map();
+// WebSocket -> Set<topic>, used to clean up when a socket goes away
+const clientTopics = new WeakMap();
+// WebSocket -> locale announcements are rendered in
+const clientLocales = new WeakMap();
+
+// Every authenticated manager or admin socket joins this topic to receive operational alerts
+const MANAGER_TOPIC = "role:manager";
+
+const TOPICS_CHANNEL = "topics";
+
+const topicKey = (kind, id) => `${kind}:${id}`;
+
+const subscribeTopic = (ws, topic) => {
+  if (!subscribers.has(topic)) subscribers.set(topic, new Set());
+  subscribers.get(topic).add(ws);
+
+  if (!clientTopics.has(ws)) clientTopics.set(ws, new Set());
+  clientTopics.get(ws).add(topic);
+
+  return topic;
+};
+
+const subscribe = (ws, kind, id) => subscribeTopic(ws, topicKey(kind, id));
+
+const unsubscribeTopic = (ws, topic) => {
+  const clients = subscribers.get(topic);
+  if (clients) {
+    clients.delete(ws);
+    if (clients.size === 0) subscribers.delete(topic);
+  }
+
+  clientTopics.get(ws)?.delete(topic);
+  return topic;
+};
+
+const unsubscribe = (ws, kind, id) => unsubscribeTopic(ws, topicKey(kind, id));
+
+const unsubscribeAll = (ws) => {
+  const topics = clientTopics.get(ws);
+  if (!topics) return;
+
+  topics.forEach((topic) => {
+    const clients = subscribers.get(topic);
+    if (!clients) return;
+    clients.delete(ws);
+    if (clients.size === 0) subscribers.delete(topic);
+  });
+  clientTopics.delete(ws);
+};
+
+/**
+ * Serialize a pushed message once per protocol version in use
+ */
+const encoder = ({ type, ...fields }) => {
+  const encoded = new Map();
+  return (client) => {
+    const version = versionOf(client);
+    if (!encoded.has(version)) encoded.set(version, encode(version, type, fields));
+    return encoded.get(version);
+  };
+};
+
+const deliver = (topics, payload) => {
+  const recipients = new Set();
+  topics.forEach((topic) => {
+    subscribers.get(topic)?.forEach((client) => recipients.add(client));
+  });
+
+  const messageFor = encoder(payload);
+  recipients.forEach((client) => {
+    if (client.readyState === client.OPEN) client.send(messageFor(client));
+  });
+
+  return recipients.size;
+};
+
+/**
+ * Send a payload to every socket subscribed to any of the given topics, on every instance.
+ * A socket subscribed to several matching topics receives the payload only once.
+ * @param {string[]} topics
+ * @param {Object} payload
+ * @returns {number} Number of sockets on this instance the payload was sent to
+ */
+const publish = (topics, payload) => {
+  publishMessage(TOPICS_CHANNEL, { topics, payload });
+  return deliver(topics, payload);
+};
+
+const setLocale = (ws, locale) => {
+  if (isSupportedLocale(locale)) clientLocales.set(ws, locale);
+};
+
+const deliverLocalized = (topics, buildPayload) => {
+  const byLocale = new Map();
+  topics.forEach((topic) => {
+    subscribers.get(topic)?.forEach((client) => {
+      const locale = clientLocales.get(client) || DEFAULT_LOCALE;
+      if (!byLocale.has(locale)) byLocale.set(locale, new Set());
+      byLocale.get(locale).add(client);
+    });
+  });
+
+  let sent = 0;
+  byLocale.forEach((clients, locale) => {
+    const messageFor = encoder(buildPayload(locale));
+    clients.forEach((client) => {
+      if (client.readyState === client.OPEN) client.send(messageFor(client));
+    });
+    sent += clients.size;
+  });
+
+  return sent;
+};
+
+/**
+ * Like publish, but the payload is built per subscriber locale so each socket gets its own language.
+ * Other instances are sent every locale, since only they know which ones their sockets use.
+ * @param {string[]} topics
+ * @param {function(string): Object} buildPayload - Called once per locale
+ * @returns {number} Number of sockets on this instance the payload was sent to
+ */
+const publishLocalized = (topics, buildPayload) => {
+  const localized = Object.fromEntries(LOCALES.map((locale) => [locale, buildPayload(locale)]));
+  publishMessage(TOPICS_CHANNEL, { topics, localized });
+  return deliverLocalized(topics, (locale) => localized[locale]);
+};
+
+onMessage(TOPICS_CHANNEL, ({ topics, payload, localized }) => {
+  if (localized) deliverLocalized(topics, (locale) => localized[locale]);
+  else deliver(topics, payload);
+});
+
+/**
+ * Every topic interested in a given scheduled bus: the trip itself, its route and each stop on the route.
+ * @param {Document} scheduledBus
+ * @param {Document} route - Route document with `stops[]`
+ * @returns {string[]}
+ */
+const busTopics = (scheduledBus, route) => [
+  topicKey("scheduledBus", scheduledBus._id),
+  topicKey("route", route._id),
+  ...route.stops.map((stop) => topicKey("stop", stop.stopId._id || stop.stopId)),
+];
+
+/**
+ * Compact representation of a moving bus, sent instead of the fully populated document.
+ */
+const toBusDelta = (scheduledBus) => ({
+  id: scheduledBus._id.toString(),
+  route: (scheduledBus.route._id || scheduledBus.route).toString(),
+  status: scheduledBus.status,
+  location: {
+    latitude: scheduledBus.location?.latitude,
+    longitude: scheduledBus.location?.longitude,
+    lastUpdated: scheduledBus.location?.lastUpdated,
+  },
+  speed: scheduledBus.speed,
+  distanceTraveled: scheduledBus.distanceTraveled,
+  distanceRemaining: scheduledBus.distanceRemaining,
+  journeyCompletion: scheduledBus.journeyCompletion,
+  estimatedArrivalTime: scheduledBus.estimatedArrivalTime,
+  presence: scheduledBus.presence?.state,
+  occupancy: scheduledBus.occupancy?.level
+    ? {
+      level: scheduledBus.occupancy.level,
+      count: scheduledBus.occupancy.count,
+      stop: scheduledBus.occupancy.stop,
+      updatedAt: scheduledBus.occupancy.updatedAt,
+    }
+    : undefined,
+});
+
+export {
+  TOPIC_KINDS,
+  MANAGER_TOPIC,
+  subscribeTopic,
+  subscribe,
+  unsubscribeTopic,
+  unsubscribe,
+  unsubscribeAll,
+  publish,
+  setLocale,
+  publishLocalized,
+  topicKey,
+  busTopics,
+  toBusDelta,
+};
@@ -0,0 +1,83 @@
+import Timetable from '../model/timetable.model.js';
+import Holiday from '../model/holiday.model.js';
+import ScheduledBus from '../model/scheduledbus.model.js';
+import { zonedDate, zonedCalendarDate } from '../utils/timezone.js';
+import { parseGtfsTime } from './gtfs.service.js';
+
+const TIME_ZONE = process.env.GTFS_TIMEZONE || 'Asia/Kolkata';
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const formatServiceDate = ({ year, month, day }) => `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+/**
+ * Departures (seconds after midnight) a timetable runs on a service date.
+ * An exception for the date wins, then the holiday rule, then the days of the week.
+ * @param {Document} timetable
+ * @param {{year: number, month: number, day: number}} date
+ * @param {Set<string>} holidays - YYYY-MM-DD
+ * @returns {number[]}
+ */
+const departuresOn = (timetable, date, holidays) => {
+  const key = formatServiceDate(date);
+  if (key < timetable.validFrom || (timetable.validTo && key > timetable.validTo)) return [];
+
+  const exception = timetable.exceptions.find((entry) => entry.date === key);
+  if (exception) {
+    if (exception.cancelled) return [];
+    return (exception.departureTimes.length ? exception.departureTimes : timetable.departureTimes).map(parseGtfsTime);
+  }
+
+  let weekday = WEEKDAYS[new Date(Date.UTC(date.year, date.month - 1, date.day)).getUTCDay()];
+  if (holidays.has(key)) {
+    if (timetable.holidayService === 'None') return [];
+    if (timetable.holidayService === 'Sunday') weekday = 'Sunday';
+  }
+
+  return timetable.daysOfWeek.includes(weekday) ? timetable.departureTimes.map(parseGtfsTime) : [];
+};
+
+/**
+ * Create the ScheduledBus trips of every active timetable for the next `days` service dates.
+ * Trips are keyed by timetable and departure, so re-running only adds what is missing and never
+ * touches trips that already exist. Departures before `from` are skipped.
+ * @param {Object} [options]
+ * @param {Date} [options.from] - Start of the window (default = now)
+ * @param {number} [options.days] - Number of service dates, including the first (default = 7)
+ * @returns {Promise<{timetables: number, trips: number, created: number}>}
+ */
+const generateTrips = async ({ from = new Date(), days = 7 } = {}) => {
+  const start = zonedCalendarDate(from, TIME_ZONE);
+  const dates = Array.from({ length: days }, (_, offset) => {
+    const day = new Date(Date.UTC(start.year, start.month - 1, start.day + offset));
+    return { year: day.getUTCFullYear(), month: day.getUTCMonth() + 1, day: day.getUTCDate() };
+  });
+
+  const [timetables, holidayDocs] = await Promise.all([
+    Timetable.find({ isActive: true }),
+    Holiday.find({ date: { $gte: formatServiceDate(dates[0]), $lte: formatServiceDate(dates[dates.length - 1]) } }),
+  ]);
+  const holidays = new Set(holidayDocs.map((holiday) => holiday.date));
+
+  const writes = [];
+  timetables.forEach((timetable) => {
+    dates.forEach((date) => {
+      departuresOn(timetable, date, holidays).forEach((departure) => {
+        const scheduleTime = zonedDate(date.year, date.month, date.day, departure, TIME_ZONE);
+        if (scheduleTime < from) return;
+
+        writes.push({
+          updateOne: {
+            filter: { timetable: timetable._id, scheduleTime },
+            update: { $setOnInsert: { route: timetable.route, status: 'Scheduled' } },
+            upsert: true,
+          },
+        });
+      });
+    });
+  });
+
+  const result = writes.length ? await ScheduledBus.bulkWrite(writes, { ordered: false }) : null;
+  return { timetables: timetables.length, trips: writes.length, created: result?.upsertedCount || 0 };
+};
+
+export { formatServiceDate, departuresOn, generateTrips };
@@ -0,0 +1,94 @@
+import ScheduledBus from "../model/scheduledbus.model.js";
+import { haversineDistance } from "../utils/time.js";
+
+const ORIGIN_RADIUS = 0.2; // km from the origin stop that counts as "at the depot"
+const ON_ROUTE_RADIUS = 0.2; // km off the route a fix may be and still count as progress along it
+const DESTINATION_RADIUS = 0.1; // km from the destination stop that counts as arrived
+const MIN_COMPLETION_DISTANCE = 0.5; // fraction of the route to cover before arrival counts, so loop routes don't complete at departure
+const START_GRACE_MINUTES = 15; // a trip not started this long after scheduleTime is flagged overdue
+
+const TRIP_STATUS = {
+  SCHEDULED: "Scheduled",
+  ON_ROUTE: "On Route",
+  COMPLETED: "Completed",
+  CANCELLED: "Cancelled",
+};
+
+const isTripClosed = (status) => status === TRIP_STATUS.COMPLETED || status === TRIP_STATUS.CANCELLED;
+
+/**
+ * Work out whether a location fix moves a trip to its next state.
+ * - Scheduled → On Route: first fix at or after `scheduleTime` within ORIGIN_RADIUS of the origin, or on the
+ *   route beyond it (the driver logged in late, or the GPS took a while to get a fix)
+ * - On Route → Completed: fix within DESTINATION_RADIUS of the destination once most of the route is covered
+ * @param {Document} scheduledBus - With `route.origin` and `route.destination` populated
+ * @param {Object} fix
+ * @param {number} fix.latitude
+ * @param {number} fix.longitude
+ * @param {number} fix.distanceTraveled - km along the route
+ * @param {number} [fix.offRouteDistance] - km between the fix and the route
+ * @param {Date} fix.at
+ * @returns {{from: string, to: string, at: Date, fields: Object}|null} fields to $set on the trip
+ */
+const nextTripState = (scheduledBus, { latitude, longitude, distanceTraveled, offRouteDistance, at }) => {
+  const { route, status } = scheduledBus;
+
+  if (status === TRIP_STATUS.SCHEDULED) {
+    const { lat, lng } = route.origin.coordinates;
+    const nearOrigin = haversineDistance(latitude, longitude, lat, lng) <= ORIGIN_RADIUS;
+    const pastOrigin = offRouteDistance <= ON_ROUTE_RADIUS && distanceTraveled > ORIGIN_RADIUS;
+    if ((!nearOrigin && !pastOrigin) || at < new Date(scheduledBus.scheduleTime)) return null;
+
+    return {
+      from: status,
+      to: TRIP_STATUS.ON_ROUTE,
+      at,
+      fields: { status: TRIP_STATUS.ON_ROUTE, actualTime: at, overdue: false },
+    };
+  }
+
+  if (status === TRIP_STATUS.ON_ROUTE) {
+    const { lat, lng } = route.destination.coordinates;
+    const nearDestination = haversineDistance(latitude, longitude, lat, lng) <= DESTINATION_RADIUS;
+    const coveredRoute = distanceTraveled >= route.totalDistance * MIN_COMPLETION_DISTANCE;
+    if (!nearDestination || !coveredRoute) return null;
+
+    return {
+      from: status,
+      to: TRIP_STATUS.COMPLETED,
+      at,
+      fields: { status: TRIP_STATUS.COMPLETED, distanceRemaining: 0, journeyCompletion: 100 },
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Flag trips that are still Scheduled well past their departure time.
+ * @param {Date} [now]
+ * @returns {Promise<Document[]>} Newly flagged trips with `route` populated
+ */
+const flagOverdueTrips = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - START_GRACE_MINUTES * 60000);
+  const trips = await ScheduledBus.find({
+    status: TRIP_STATUS.SCHEDULED,
+    overdue: { $ne: true },
+    scheduleTime: { $lte: cutoff },
+  }).populate("route");
+
+  if (trips.length) {
+    await ScheduledBus.updateMany({ _id: { $in: trips.map((trip) => trip._id) } }, { $set: { overdue: true } });
+    trips.forEach((trip) => { trip.overdue = true; });
+  }
+
+  return trips;
+};
+
+export {
+  TRIP_STATUS,
+  START_GRACE_MINUTES,
+  isTripClosed,
+  nextTripState,
+  flagOverdueTrips,
+};
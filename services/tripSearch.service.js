@@ -0,0 +1,113 @@
+import ScheduledBus from '../model/scheduledbus.model.js';
+import Bus from '../model/bus.model.js';
+import Route from '../model/route.model.js';
+import { predictForBus } from './eta.service.js';
+import { DRIVER_FIELDS, BUS_FIELDS } from './scheduledBus.service.js';
+
+const DEFAULT_WINDOW = 2 * 60 * 60 * 1000; // ms searched after departAfter when no departBefore is given
+const MAX_RESULTS = 50;
+
+const refId = (ref) => (ref?._id || ref)?.toString();
+
+/**
+ * Build a Bus filter from API query parameters
+ * @param {Object} query
+ * @param {string} [query.lowFloor] - 'true' or 'false'
+ * @param {string} [query.ac] - 'true' or 'false'
+ * @param {string} [query.nightService] - 'true' or 'false'
+ * @param {string} [query.specialService] - 'true' or 'false'
+ * @param {string|string[]} [query.passengerType] - One or more passenger types, comma separated or as an array
+ * @param {string|string[]} [query.busType] - One or more bus types, comma separated or as an array
+ * @returns {Object}
+ */
+const buildBusFilter = ({ lowFloor, ac, nightService, specialService, passengerType, busType }) => {
+  const filter = {};
+  const flags = { isLowFloor: lowFloor, isAc: ac, isNightService: nightService, specialService };
+  Object.entries(flags).forEach(([field, value]) => {
+    if (value !== undefined) filter[field] = String(value) === 'true';
+  });
+
+  const list = (value) => (Array.isArray(value) ? value : String(value).split(',')).map((item) => String(item).trim());
+  if (passengerType) filter.passengerType = { $in: list(passengerType) };
+  if (busType) filter.busType = { $in: list(busType) };
+
+  return filter;
+};
+
+/**
+ * Routes that pass `origin` and later reach `destination`, with both stop entries
+ * @returns {Promise<Array<{route: Document, board: Object, alight: Object}>>}
+ */
+const routesBetween = async (origin, destination) => {
+  const routes = await Route.find({ isActive: true, 'stops.stopId': { $all: [origin, destination] } });
+  return routes
+    .map((route) => ({
+      route,
+      board: route.stops.find((stop) => refId(stop.stopId) === origin.toString()),
+      alight: route.stops.find((stop) => refId(stop.stopId) === destination.toString()),
+    }))
+    .filter(({ board, alight }) => board.stopOrder < alight.stopOrder);
+};
+
+/**
+ * Find trips from one stop to another that leave the first stop within a time window,
+ * ranked by predicted arrival at the second. Trips already past the boarding stop are left out.
+ * @param {Object} search
+ * @param {ObjectId} search.origin - Stop to board at
+ * @param {ObjectId} search.destination - Stop to get off at
+ * @param {Date} [search.departAfter] - Earliest departure from `origin` (default = now)
+ * @param {Date} [search.departBefore] - Latest departure from `origin` (default = two hours after departAfter)
+ * @param {Object} [busFilter] - Required bus attributes, see buildBusFilter
+ * @param {number} [limit] - Maximum number of results (default = 10)
+ * @returns {Promise<Array<{scheduledBus: Document, departure: Date, arrival: Date, durationMinutes: number, live: boolean}>>}
+ */
+const searchTrips = async ({ origin, destination, departAfter = new Date(), departBefore }, busFilter = {}, limit = 10) => {
+  const windowEnd = departBefore || new Date(departAfter.getTime() + DEFAULT_WINDOW);
+  const candidates = await routesBetween(origin, destination);
+  if (!candidates.length) return [];
+
+  const filter = {
+    status: { $in: ['Scheduled', 'On Route'] },
+    // A trip can reach the boarding stop after the window opens only if it left the origin less than a full run before
+    $or: candidates.map(({ route }) => ({
+      route: route._id,
+      scheduleTime: { $gte: new Date(departAfter.getTime() - route.totalDuration * 60000), $lte: windowEnd },
+    })),
+  };
+  if (Object.keys(busFilter).length) {
+    const buses = await Bus.find(busFilter).select('_id');
+    filter.bus = { $in: buses.map((bus) => bus._id) };
+  }
+
+  const trips = await ScheduledBus.find(filter)
+    .populate('bus', BUS_FIELDS)
+    .populate('driver', DRIVER_FIELDS);
+  const byRoute = new Map(candidates.map((candidate) => [candidate.route._id.toString(), candidate]));
+
+  const now = new Date();
+  const results = await Promise.all(
+    trips.map(async (trip) => {
+      const { route, board, alight } = byRoute.get(refId(trip.route));
+      const predictions = await predictForBus(trip, route, now);
+      const boarding = predictions.find((entry) => refId(entry.stop) === refId(board.stopId));
+      const alighting = predictions.find((entry) => refId(entry.stop) === refId(alight.stopId));
+      if (!boarding || !alighting || boarding.eta < departAfter || boarding.eta > windowEnd) return null;
+
+      trip.route = route;
+      return {
+        scheduledBus: trip,
+        departure: boarding.eta,
+        arrival: alighting.eta,
+        durationMinutes: Math.round((alighting.eta - boarding.eta) / 60000),
+        live: trip.status === 'On Route',
+      };
+    })
+  );
+
+  return results
+    .filter(Boolean)
+    .sort((a, b) => a.arrival - b.arrival || a.departure - b.departure)
+    .slice(0, Math.min(limit, MAX_RESULTS));
+};
+
+export { buildBusFilter, searchTrips };
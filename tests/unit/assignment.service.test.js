@@ -0,0 +1,58 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { isNightTrip, busConflicts, driverConflicts } from '../../services/assignment.service.js';
+
+// Times are India Standard Time (UTC+5:30), the default GTFS_TIMEZONE
+const ist = (day, hour, minute = 0) => new Date(Date.UTC(2026, 0, day, hour, minute) - 5.5 * 60 * 60 * 1000);
+const slot = (trip, day, startHour, endHour) => ({ trip, start: ist(day, startHour), end: ist(day, endHour) });
+const codes = (conflicts) => conflicts.map(({ code }) => code);
+
+const bus = { busNumber: 'TN01 1234', isNightService: false };
+const driver = { role: 'driver', isActive: true, isBlocked: false };
+
+describe('isNightTrip', () => {
+  it('flags trips running any time between 22:00 and 05:00 local time', () => {
+    assert.equal(isNightTrip(slot('day', 5, 10, 12)), false);
+    assert.equal(isNightTrip(slot('late', 5, 21, 23)), true);
+    assert.equal(isNightTrip(slot('early', 5, 4, 6)), true);
+    assert.equal(isNightTrip({ start: ist(5, 21), end: ist(5, 22) }), false);
+  });
+});
+
+describe('busConflicts', () => {
+  it('rejects a missing bus, an overlapping booking and a night trip without night service', () => {
+    assert.deepEqual(codes(busConflicts(null, slot('t', 5, 10, 12), [])), ['busNotFound']);
+    assert.deepEqual(codes(busConflicts(bus, slot('t', 5, 10, 12), [slot('other', 5, 11, 13)])), ['busDoubleBooked']);
+    assert.deepEqual(codes(busConflicts(bus, slot('t', 5, 12, 13), [slot('other', 5, 10, 12)])), []);
+    assert.deepEqual(codes(busConflicts(bus, slot('t', 5, 23, 25), [])), ['busNotNightService']);
+    assert.deepEqual(codes(busConflicts({ ...bus, isNightService: true }, slot('t', 5, 23, 25), [])), []);
+  });
+});
+
+describe('driverConflicts', () => {
+  it('rejects users who cannot drive', () => {
+    const trip = slot('t', 5, 10, 12);
+    assert.deepEqual(codes(driverConflicts(null, trip, [])), ['driverNotFound']);
+    assert.deepEqual(codes(driverConflicts({ ...driver, role: 'manager' }, trip, [])), ['notADriver']);
+    assert.deepEqual(codes(driverConflicts({ ...driver, isActive: false, isBlocked: true }, trip, [])), ['driverInactive', 'driverBlocked']);
+  });
+
+  it('rejects a trip overlapping another booking', () => {
+    assert.deepEqual(codes(driverConflicts(driver, slot('t', 5, 10, 12), [slot('other', 5, 9, 11)])), ['driverDoubleBooked']);
+  });
+
+  it('counts trips separated by less than the minimum rest as one duty', () => {
+    const bookings = [slot('first', 5, 6, 9), slot('second', 5, 10, 13)];
+    assert.deepEqual(codes(driverConflicts(driver, slot('t', 5, 13, 14), bookings)), []); // 8h duty
+    assert.deepEqual(codes(driverConflicts(driver, slot('t', 5, 14, 16), bookings)), ['dutyHoursExceeded']);
+
+    // A trip before the others can stretch the duty too
+    assert.deepEqual(codes(driverConflicts(driver, slot('t', 5, 4, 5), bookings)), ['dutyHoursExceeded']);
+  });
+
+  it('starts a new duty after the minimum rest', () => {
+    const bookings = [slot('morning', 5, 6, 13)];
+    assert.deepEqual(codes(driverConflicts(driver, slot('t', 5, 21, 23), bookings)), []);
+    assert.deepEqual(codes(driverConflicts(driver, slot('t', 5, 20, 23), bookings)), ['dutyHoursExceeded']);
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, toCsv } from '../../utils/csv.js';
+
+describe('parseCsv', () => {
+  it('keys rows by the header and trims unquoted whitespace', () => {
+    assert.deepEqual(parseCsv('stop_id, stop_name\nS1, Central \nS2,Market\n'), [
+      { stop_id: 'S1', stop_name: 'Central' },
+      { stop_id: 'S2', stop_name: 'Market' },
+    ]);
+  });
+
+  it('reads quoted fields with commas, doubled quotes and line breaks', () => {
+    const text = 'stop_id,stop_name,stop_desc\n"S1","Anna Salai, North","The ""big"" one\nopposite the park"\n';
+    assert.deepEqual(parseCsv(text), [
+      { stop_id: 'S1', stop_name: 'Anna Salai, North', stop_desc: 'The "big" one\nopposite the park' },
+    ]);
+  });
+
+  it('accepts CRLF line endings, a byte order mark and a missing final newline', () => {
+    assert.deepEqual(parseCsv('\uFEFFroute_id,route_short_name\r\nR1,21G\r\nR2,5C'), [
+      { route_id: 'R1', route_short_name: '21G' },
+      { route_id: 'R2', route_short_name: '5C' },
+    ]);
+  });
+
+  it('skips blank lines and fills missing trailing fields with empty strings', () => {
+    assert.deepEqual(parseCsv('a,b,c\n\n1,2\n\r\n'), [{ a: '1', b: '2', c: '' }]);
+  });
+
+  it('keeps empty fields and a row with a single value', () => {
+    assert.deepEqual(parseCsv('a,b\n,x\n"",\n'), [
+      { a: '', b: 'x' },
+      { a: '', b: '' },
+    ]);
+    assert.deepEqual(parseCsv('a\n1\n'), [{ a: '1' }]);
+  });
+
+  it('returns nothing for an empty file or a header alone', () => {
+    assert.deepEqual(parseCsv(''), []);
+    assert.deepEqual(parseCsv('a,b\r\n'), []);
+  });
+});
+
+describe('toCsv', () => {
+  it('quotes only fields that need it and round-trips through parseCsv', () => {
+    const records = [
+      { id: 'S1', name: 'Anna Salai, North', note: 'The "big" one' },
+      { id: 'S2', name: 'Market', note: null },
+    ];
+    const text = toCsv(['id', 'name', 'note'], records);
+
+    assert.equal(text, 'id,name,note\r\nS1,"Anna Salai, North","The ""big"" one"\r\nS2,Market,\r\n');
+    assert.deepEqual(parseCsv(text), [
+      { id: 'S1', name: 'Anna Salai, North', note: 'The "big" one' },
+      { id: 'S2', name: 'Market', note: '' },
+    ]);
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { learnSegmentSpeeds } from '../../services/eta.service.js';
+
+const stops = [
+  { stopId: 'a', stopOrder: 1, distanceFromOrigin: 0 },
+  { stopId: 'b', stopOrder: 2, distanceFromOrigin: 5 },
+  { stopId: 'c', stopOrder: 3, distanceFromOrigin: 10 },
+];
+const at = (minutes) => new Date(Date.UTC(2026, 0, 1, 10, minutes));
+
+describe('learnSegmentSpeeds', () => {
+  it('learns the final segment from the arrival at the destination', () => {
+    const trips = [
+      {
+        leftAt: [
+          { stop: 'a', time: at(0) },
+          { stop: 'b', arrivedAt: at(10), departedAt: at(11), time: at(11) },
+          { stop: 'c', arrivedAt: at(20) }, // The trip completes here, nothing is ever recorded on leaving
+        ],
+      },
+    ];
+
+    const speeds = learnSegmentSpeeds(stops, trips);
+    assert.equal(speeds[0], null);
+    assert.equal(speeds[1], 30);
+    assert.equal(speeds[2], 30);
+  });
+
+  it('spreads a span over stops passed without a recorded time', () => {
+    const trips = [{ leftAt: [{ stop: 'a', time: at(0) }, { stop: 'c', time: at(20) }] }];
+
+    assert.deepEqual(learnSegmentSpeeds(stops, trips), [null, 30, 30]);
+  });
+
+  it('takes the median over trips and ignores implausible speeds', () => {
+    const trips = [
+      { leftAt: [{ stop: 'a', time: at(0) }, { stop: 'b', time: at(10) }] },
+      { leftAt: [{ stop: 'a', time: at(0) }, { stop: 'b', time: at(20) }] },
+      { leftAt: [{ stop: 'a', time: at(0) }, { stop: 'b', time: at(30) }] },
+      { leftAt: [{ stop: 'a', time: at(0) }, { stop: 'b', time: at(1) }] }, // 300 km/h, bad data
+    ];
+
+    assert.equal(learnSegmentSpeeds(stops, trips)[1], 15);
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { isInside, trackDeviation } from '../../services/geofenceMonitor.service.js';
+
+const at = (seconds) => new Date(Date.UTC(2026, 0, 5, 8, 0, seconds));
+
+describe('isInside', () => {
+  // An L-shaped depot yard: the notch at the top right is outside
+  const yard = {
+    shape: 'polygon',
+    polygon: [
+      { lat: 0, lng: 0 },
+      { lat: 0, lng: 0.02 },
+      { lat: 0.01, lng: 0.02 },
+      { lat: 0.01, lng: 0.01 },
+      { lat: 0.02, lng: 0.01 },
+      { lat: 0.02, lng: 0 },
+    ],
+  };
+
+  it('finds points inside a concave polygon and not in its notch', () => {
+    assert.equal(isInside(yard, 0.005, 0.015), true);
+    assert.equal(isInside(yard, 0.015, 0.005), true);
+    assert.equal(isInside(yard, 0.015, 0.015), false);
+    assert.equal(isInside(yard, -0.001, 0.005), false);
+  });
+
+  it('does not count a ray through a vertex twice', () => {
+    const diamond = {
+      shape: 'polygon',
+      polygon: [{ lat: 0, lng: 0.01 }, { lat: 0.01, lng: 0.02 }, { lat: 0.02, lng: 0.01 }, { lat: 0.01, lng: 0 }],
+    };
+    assert.equal(isInside(diamond, 0.01, 0.01), true);
+    assert.equal(isInside(diamond, 0.01, -0.01), false);
+  });
+
+  it('measures circles by their radius in metres', () => {
+    const stand = { shape: 'circle', center: { lat: 12.97, lng: 77.59 }, radius: 150 };
+    // 0.001° of latitude is about 111 m
+    assert.equal(isInside(stand, 12.971, 77.59), true);
+    assert.equal(isInside(stand, 12.972, 77.59), false);
+  });
+});
+
+describe('trackDeviation', () => {
+  it('ignores a bus within the threshold', () => {
+    assert.deepEqual(trackDeviation({}, 150, at(0)), { offRoute: null, deviations: [], event: null });
+  });
+
+  it('treats a short excursion as noise', () => {
+    const first = trackDeviation({}, 300, at(0));
+    assert.deepEqual(first, { offRoute: { since: at(0), maxDistance: 300 }, deviations: [], event: null });
+
+    const second = trackDeviation({ offRoute: first.offRoute }, 250, at(60));
+    assert.deepEqual(second.offRoute, { since: at(0), maxDistance: 300 });
+    assert.equal(second.event, null);
+
+    assert.deepEqual(trackDeviation({ offRoute: second.offRoute }, 100, at(90)), { offRoute: null, deviations: [], event: null });
+  });
+
+  it('confirms a deviation once the bus has been off route long enough', () => {
+    const result = trackDeviation({ offRoute: { since: at(0), maxDistance: 300 } }, 280.4, at(120));
+    assert.deepEqual(result.deviations, [{ startedAt: at(0), maxDistance: 300 }]);
+    assert.deepEqual(result.event, { type: 'deviated', since: at(0), at: at(120), distance: 280 });
+  });
+
+  it('keeps the furthest distance of an open deviation without raising it again', () => {
+    const bus = { offRoute: { since: at(0), maxDistance: 300 }, deviations: [{ startedAt: at(0), maxDistance: 300 }] };
+    const result = trackDeviation(bus, 512.6, at(180));
+    assert.deepEqual(result.deviations, [{ startedAt: at(0), maxDistance: 513 }]);
+    assert.equal(result.event, null);
+  });
+
+  it('closes an open deviation when the bus is back on route', () => {
+    const bus = {
+      offRoute: { since: at(0), maxDistance: 513 },
+      deviations: [{ startedAt: at(0), maxDistance: 513 }],
+    };
+    const result = trackDeviation(bus, 40, at(300));
+    assert.equal(result.offRoute, null);
+    assert.deepEqual(result.deviations, [{ startedAt: at(0), maxDistance: 513, endedAt: at(300) }]);
+    assert.deepEqual(result.event, { type: 'returned', since: at(0), at: at(300), maxDistance: 513 });
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFix, filterFix } from '../../services/gpsFilter.service.js';
+
+const METRES_PER_DEGREE = 111320;
+const now = new Date(Date.UTC(2026, 0, 5, 4, 0, 0));
+const secondsAgo = (seconds) => new Date(now.getTime() - seconds * 1000);
+
+/**
+ * Feed a bus heading north at `speed` m/s, one fix every `interval` seconds, through the filter.
+ * `noise(i)` offsets each raw fix in metres.
+ * @returns {Array<{error: number, velocityNorth: number}>} metres ahead (+) or behind (-) the true position
+ */
+const track = ({ speed, interval, count, noise = () => 0 }) => {
+  let state;
+  const results = [];
+  for (let i = 0; i < count; i++) {
+    const timestamp = new Date(now.getTime() + (i - count) * interval * 1000);
+    const trueNorth = speed * interval * i;
+    const fix = { latitude: 13 + (trueNorth + noise(i)) / METRES_PER_DEGREE, longitude: 80, timestamp, accuracy: 15 };
+    const result = filterFix(state, fix, { now, maxAge: Infinity });
+    assert.equal(result.accepted, true);
+    state = result.state;
+    results.push({ error: (result.latitude - 13) * METRES_PER_DEGREE - trueNorth, velocityNorth: state.velocityNorth });
+  }
+  return results;
+};
+
+describe('parseFix', () => {
+  it('rejects messages without numeric coordinates or with a bad timestamp', () => {
+    assert.equal(parseFix({ latitude: '13', longitude: 80 }), null);
+    assert.equal(parseFix({ latitude: 13, longitude: 80, timestamp: 'yesterday' }), null);
+    assert.deepEqual(parseFix({ latitude: 13, longitude: 80, timestamp: now.getTime(), accuracy: 8 }), {
+      latitude: 13,
+      longitude: 80,
+      timestamp: now,
+      accuracy: 8,
+    });
+  });
+});
+
+describe('filterFix', () => {
+  const previous = filterFix(undefined, { latitude: 13, longitude: 80, timestamp: secondsAgo(10), accuracy: 10 }, { now }).state;
+  const reason = (fix, options = {}) => filterFix(previous, { latitude: 13, longitude: 80, accuracy: 10, ...fix }, { now, ...options }).reason;
+
+  it('passes the first fix through unchanged', () => {
+    const result = filterFix(undefined, { latitude: 13.001, longitude: 80.002, timestamp: now }, { now });
+    assert.equal(result.accepted, true);
+    assert.equal(result.latitude, 13.001);
+    assert.equal(result.longitude, 80.002);
+    assert.equal(result.state.accuracy, 20);
+  });
+
+  it('rejects fixes it cannot trust', () => {
+    assert.equal(reason({ latitude: 91, timestamp: now }), 'Coordinates out of range');
+    assert.equal(reason({ accuracy: 150, timestamp: now }), 'Fix is not accurate enough');
+    assert.equal(reason({ timestamp: new Date(now.getTime() + 60 * 1000) }), 'Fix timestamp is in the future');
+    assert.equal(reason({ timestamp: secondsAgo(5 * 60) }), 'Fix is stale');
+    assert.equal(reason({ timestamp: secondsAgo(20) }), 'Fix is out of order or duplicate');
+    assert.match(reason({ latitude: 13.01, timestamp: now }), /^Implausible jump/); // 1.1 km in 10 s
+  });
+
+  it('allows faster moves for intercity buses than for city buses', () => {
+    const fix = { latitude: 13 + 280 / METRES_PER_DEGREE, timestamp: now }; // 280 m in 10 s, about 94 km/h after slack
+    assert.match(reason(fix, { busType: 'City' }), /^Implausible jump/);
+    assert.equal(reason(fix, { busType: 'Intercity' }), undefined);
+  });
+
+  it('keeps up with a moving bus instead of trailing it', () => {
+    const results = track({ speed: 60 / 3.6, interval: 5, count: 30 }).slice(10);
+    results.forEach(({ error, velocityNorth }) => {
+      assert.ok(Math.abs(error) < 2, `lagging ${error.toFixed(1)} m`);
+      assert.ok(Math.abs(velocityNorth - 60 / 3.6) < 0.5);
+    });
+  });
+
+  it('smooths GPS noise on a moving bus without a steady lag', () => {
+    const noise = (i) => (i % 2 ? 15 : -15) * ((i % 3) + 1) / 3;
+    const errors = track({ speed: 60 / 3.6, interval: 5, count: 40, noise }).slice(10).map(({ error }) => error);
+    const mean = errors.reduce((sum, error) => sum + error, 0) / errors.length;
+
+    assert.ok(errors.every((error) => Math.abs(error) < 15));
+    assert.ok(Math.abs(mean) < 5, `average error ${mean.toFixed(1)} m`);
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseGtfsTime, formatGtfsTime, buildServiceCalendar } from '../../services/gtfs.service.js';
+
+describe('GTFS times', () => {
+  it('reads and writes times past midnight of the service day', () => {
+    assert.equal(parseGtfsTime('06:05:30'), 6 * 3600 + 5 * 60 + 30);
+    assert.equal(parseGtfsTime('25:10:00'), 25 * 3600 + 10 * 60);
+    assert.equal(parseGtfsTime('7:00'), 7 * 3600);
+    assert.equal(formatGtfsTime(25 * 3600 + 10 * 60), '25:10:00');
+    assert.equal(formatGtfsTime(6 * 3600 + 59.6 * 60), '06:59:36');
+  });
+});
+
+describe('buildServiceCalendar', () => {
+  const calendar = [
+    { service_id: 'WEEKDAY', monday: '1', tuesday: '1', wednesday: '1', thursday: '1', friday: '1', saturday: '0', sunday: '0', start_date: '20260101', end_date: '20261231' },
+    { service_id: 'SUNDAY', monday: '0', tuesday: '0', wednesday: '0', thursday: '0', friday: '0', saturday: '0', sunday: '1', start_date: '20260101', end_date: '20261231' },
+  ];
+  const calendarDates = [
+    { service_id: 'WEEKDAY', date: '20260126', exception_type: '2' }, // Republic Day, a Monday
+    { service_id: 'SUNDAY', date: '20260126', exception_type: '1' },
+    { service_id: 'EXTRA', date: '20260131', exception_type: '1' },
+  ];
+  const servicesOn = buildServiceCalendar(calendar, calendarDates);
+  const ids = (year, month, day) => [...servicesOn({ year, month, day })].sort();
+
+  it('runs services on their days of the week within their date range', () => {
+    assert.deepEqual(ids(2026, 1, 5), ['WEEKDAY']);
+    assert.deepEqual(ids(2026, 1, 4), ['SUNDAY']);
+    assert.deepEqual(ids(2027, 1, 4), []);
+  });
+
+  it('applies added and removed service exceptions', () => {
+    assert.deepEqual(ids(2026, 1, 26), ['SUNDAY']);
+    assert.deepEqual(ids(2026, 1, 31), ['EXTRA']);
+  });
+
+  it('works from calendar_dates.txt alone', () => {
+    assert.deepEqual([...buildServiceCalendar([], calendarDates)({ year: 2026, month: 1, day: 31 })], ['EXTRA']);
+  });
+});
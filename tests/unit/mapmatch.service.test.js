@@ -0,0 +1,63 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildRouteGeometry, matchToRoute } from '../../services/mapmatch.service.js';
+
+const KM = 1 / 111.32; // degrees of latitude in a kilometre
+const at = (km) => ({ lat: 13 + km * KM, lng: 80 });
+
+/**
+ * Three stops 1 km apart heading north, or out 1 km and back along the same road
+ */
+const buildRoute = (id, { outAndBack = false } = {}) => {
+  const stops = [
+    { _id: `${id}-a`, coordinates: at(0) },
+    { _id: `${id}-b`, coordinates: at(1) },
+    { _id: `${id}-c`, coordinates: outAndBack ? at(0.001) : at(2) },
+  ];
+  const route = {
+    _id: id,
+    routeName: id,
+    path: [],
+    stops: stops.map((stop, index) => ({ stopId: stop._id, stopOrder: index + 1, distanceFromOrigin: index * (outAndBack ? 0.9995 : 1) })),
+  };
+  return buildRouteGeometry(route, stops);
+};
+
+describe('matchToRoute', () => {
+  it('measures progress along the route and the distance off it', () => {
+    const geometry = buildRoute('straight');
+
+    const onRoute = matchToRoute(geometry, at(1.5).lat, 80);
+    assert.ok(Math.abs(onRoute.distanceAlong - 1.5) < 0.01);
+    assert.ok(onRoute.offRouteDistance < 0.001);
+
+    const beside = matchToRoute(geometry, at(0.5).lat, 80 + 0.1 / (111.32 * Math.cos((13 * Math.PI) / 180)));
+    assert.ok(Math.abs(beside.distanceAlong - 0.5) < 0.01);
+    assert.ok(Math.abs(beside.offRouteDistance - 0.1) < 0.005);
+  });
+
+  it('keeps a bus on the return leg of an out-and-back route', () => {
+    const geometry = buildRoute('out-and-back', { outAndBack: true });
+
+    const outbound = matchToRoute(geometry, at(0.5).lat, 80, 0.3);
+    assert.ok(Math.abs(outbound.distanceAlong - 0.5) < 0.01);
+
+    const inbound = matchToRoute(geometry, at(0.5).lat, 80, 1.2);
+    assert.ok(Math.abs(inbound.distanceAlong - 1.5) < 0.01);
+  });
+
+  it('does not jump back to the outbound leg when no match lies ahead', () => {
+    const geometry = buildRoute('out-and-back-end', { outAndBack: true });
+
+    // Nearly home, then a fix that only matches well behind the bus on either leg
+    const match = matchToRoute(geometry, at(0.5).lat, 80, 1.99);
+    assert.ok(Math.abs(match.distanceAlong - 1.5) < 0.01);
+  });
+
+  it('tolerates GPS noise moving the bus slightly backwards', () => {
+    const geometry = buildRoute('noise');
+
+    const match = matchToRoute(geometry, at(0.95).lat, 80, 1);
+    assert.ok(Math.abs(match.distanceAlong - 0.95) < 0.01);
+  });
+});
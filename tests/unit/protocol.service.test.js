@@ -0,0 +1,135 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import ProtocolError from '../../utils/ProtocolError.js';
+import {
+  ERROR_CODES,
+  registerHandler,
+  encode,
+  parseMessage,
+  negotiateVersion,
+  dispatch,
+} from '../../services/protocol.service.js';
+
+const rejects = (raw, code) => assert.throws(() => parseMessage(raw), (error) => error instanceof ProtocolError && error.code === code);
+
+/**
+ * Just enough of a WebSocket to collect what the server sends
+ */
+const fakeSocket = (props = {}) => {
+  const sent = [];
+  return { OPEN: 1, readyState: 1, send: (message) => sent.push(JSON.parse(message)), sent, ...props };
+};
+
+describe('parseMessage', () => {
+  it('reads flat messages as version 1', () => {
+    assert.deepEqual(parseMessage('{"type":"subscribe","kind":"stop","id":"x"}'), {
+      type: 'subscribe',
+      version: 1,
+      payload: { kind: 'stop', id: 'x' },
+    });
+  });
+
+  it('keeps a version field on a flat message as part of its payload', () => {
+    assert.deepEqual(parseMessage(JSON.stringify({ type: 'hello', version: 2, versions: [1] })), {
+      type: 'hello',
+      version: 1,
+      payload: { version: 2, versions: [1] },
+    });
+  });
+
+  it('reads messages with a payload as envelopes, defaulting to the latest version', () => {
+    assert.deepEqual(parseMessage(JSON.stringify({ id: 7, type: 'ping', payload: {} })), {
+      id: 7,
+      type: 'ping',
+      version: 2,
+      payload: {},
+    });
+  });
+
+  it('rejects malformed messages and envelopes', () => {
+    rejects('not json', ERROR_CODES.INVALID_MESSAGE);
+    rejects('null', ERROR_CODES.INVALID_MESSAGE);
+    rejects('{"kind":"stop"}', ERROR_CODES.INVALID_MESSAGE);
+    rejects(JSON.stringify({ type: 'ping', version: 2, payload: [] }), ERROR_CODES.INVALID_MESSAGE);
+    rejects(JSON.stringify({ type: 'ping', version: 1, payload: {} }), ERROR_CODES.UNSUPPORTED_VERSION);
+    rejects(JSON.stringify({ type: 'ping', version: 9, payload: {} }), ERROR_CODES.UNSUPPORTED_VERSION);
+  });
+
+  it('keeps the request id on a version error so the client can match the answer', () => {
+    assert.throws(
+      () => parseMessage(JSON.stringify({ id: 'a1', type: 'ping', version: 9, payload: {} })),
+      (error) => error.request.id === 'a1' && error.request.version === 2
+    );
+  });
+});
+
+describe('negotiateVersion', () => {
+  it('picks the newest version both sides speak', () => {
+    assert.equal(negotiateVersion([1, 2, 3]), 2);
+    assert.equal(negotiateVersion([1]), 1);
+    assert.equal(negotiateVersion([3, 4]), null);
+    assert.equal(negotiateVersion([]), null);
+  });
+});
+
+describe('encode', () => {
+  it('writes flat messages for version 1 and envelopes for version 2', () => {
+    assert.deepEqual(JSON.parse(encode(1, 'pong', { at: 1 })), { type: 'pong', at: 1 });
+    assert.deepEqual(JSON.parse(encode(2, 'pong', { at: 1 }, 'r1')), { id: 'r1', type: 'pong', version: 2, payload: { at: 1 } });
+  });
+});
+
+describe('dispatch', () => {
+  registerHandler('test.echo', {
+    schema: { text: { type: 'string', required: true } },
+    handle: async (ws, { text }) => ({ type: 'test.echoed', payload: { text } }),
+  });
+  registerHandler('test.quiet', { handle: async () => {} });
+  registerHandler('test.managers', { roles: ['manager'], handle: async () => {} });
+
+  it('answers in the version of the request', async () => {
+    const ws = fakeSocket();
+    await dispatch(ws, JSON.stringify({ type: 'test.echo', text: 'hi' }));
+    await dispatch(ws, JSON.stringify({ id: 1, type: 'test.echo', version: 2, payload: { text: 'hi' } }));
+
+    assert.deepEqual(ws.sent, [
+      { type: 'test.echoed', text: 'hi' },
+      { id: 1, type: 'test.echoed', version: 2, payload: { text: 'hi' } },
+    ]);
+  });
+
+  it('acknowledges version 2 requests with an id when the handler has no answer', async () => {
+    const ws = fakeSocket();
+    await dispatch(ws, JSON.stringify({ id: 2, type: 'test.quiet', payload: {} }));
+    await dispatch(ws, JSON.stringify({ type: 'test.quiet', payload: {} }));
+    await dispatch(ws, JSON.stringify({ type: 'test.quiet' }));
+
+    assert.deepEqual(ws.sent, [{ id: 2, type: 'ack', version: 2, payload: {} }]);
+  });
+
+  it('sends typed errors in the shape of each version', async () => {
+    const ws = fakeSocket();
+    await dispatch(ws, JSON.stringify({ type: 'test.echo' }));
+    await dispatch(ws, JSON.stringify({ id: 3, type: 'test.unknown', payload: {} }));
+
+    assert.deepEqual(ws.sent, [
+      { error: 'text is required', code: ERROR_CODES.INVALID_PAYLOAD },
+      {
+        id: 3,
+        type: 'error',
+        version: 2,
+        payload: { code: ERROR_CODES.UNKNOWN_TYPE, message: 'Unknown message type "test.unknown"', requestType: 'test.unknown' },
+      },
+    ]);
+  });
+
+  it('checks the sender before running a handler limited to some roles', async () => {
+    const anonymous = fakeSocket();
+    await dispatch(anonymous, JSON.stringify({ type: 'test.managers' }));
+    const driver = fakeSocket({ user: { role: 'driver' } });
+    await dispatch(driver, JSON.stringify({ type: 'test.managers' }));
+
+    assert.equal(anonymous.sent[0].code, ERROR_CODES.UNAUTHENTICATED);
+    assert.equal(driver.sent[0].code, ERROR_CODES.FORBIDDEN);
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import validate from '../../utils/schema.js';
+
+describe('validate', () => {
+  it('reports missing required fields and ignores fields the schema does not mention', () => {
+    const schema = { name: { type: 'string', required: true }, note: { type: 'string' } };
+
+    assert.deepEqual(validate(schema, {}), ['name is required']);
+    assert.deepEqual(validate(schema, { name: null }), ['name is required']);
+    assert.deepEqual(validate(schema, { name: 'a', extra: 1 }), []);
+  });
+
+  it('checks each type', () => {
+    const check = (type, value) => validate({ field: { type } }, { field: value }).length === 0;
+
+    assert.equal(check('number', 1.5), true);
+    assert.equal(check('number', '1.5'), false);
+    assert.equal(check('number', Infinity), false);
+    assert.equal(check('integer', 2), true);
+    assert.equal(check('integer', 2.5), false);
+    assert.equal(check('boolean', false), true);
+    assert.equal(check('boolean', 'false'), false);
+    assert.equal(check('objectId', '507f1f77bcf86cd799439011'), true);
+    assert.equal(check('objectId', 'not-an-id'), false);
+    assert.equal(check('date', '2026-01-05T10:00:00Z'), true);
+    assert.equal(check('date', 1767607200000), true);
+    assert.equal(check('date', 'yesterday'), false);
+    assert.equal(check('array', []), true);
+    assert.equal(check('object', {}), true);
+    assert.equal(check('object', []), false);
+  });
+
+  it('accepts only numbers and numeric strings as numeric', () => {
+    const check = (value) => validate({ field: { type: 'numeric' } }, { field: value }).length === 0;
+
+    assert.equal(check(13.05), true);
+    assert.equal(check('13.05'), true);
+    assert.equal(check(' 13 '), true);
+    assert.equal(check(''), false);
+    assert.equal(check('  '), false);
+    assert.equal(check('13a'), false);
+    assert.equal(check([]), false);
+    assert.equal(check([13]), false);
+    assert.equal(check(true), false);
+    assert.equal(check(NaN), false);
+  });
+
+  it('applies enum and min/max, counting the length of strings and arrays', () => {
+    const schema = {
+      level: { type: 'string', enum: ['low', 'high'] },
+      count: { type: 'integer', min: 0, max: 10 },
+      code: { type: 'string', min: 2, max: 3 },
+      list: { type: 'array', max: 2 },
+    };
+
+    assert.deepEqual(validate(schema, { level: 'low', count: 0, code: 'ab', list: [1, 2] }), []);
+    assert.deepEqual(validate(schema, { level: 'mid', count: 11, code: 'a', list: [1, 2, 3] }), [
+      'level must be one of low, high',
+      'count must be at most 10',
+      'code must be at least 2',
+      'list must be at most 2',
+    ]);
+  });
+
+  it('reports type errors once, without the checks that follow', () => {
+    assert.deepEqual(validate({ count: { type: 'integer', min: 0 } }, { count: 'many' }), ['count must be of type integer']);
+  });
+
+  it('validates nested objects and array items with their path', () => {
+    const schema = {
+      occupancy: { type: 'object', properties: { count: { type: 'integer', min: 0 } } },
+      fixes: { type: 'array', items: { sequence: { type: 'integer', required: true } } },
+    };
+
+    assert.deepEqual(validate(schema, { occupancy: { count: -1 }, fixes: [{ sequence: 1 }, {}] }), [
+      'occupancy.count must be at least 0',
+      'fixes[1].sequence is required',
+    ]);
+  });
+});
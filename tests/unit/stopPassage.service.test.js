@@ -0,0 +1,135 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { orderedStopSequence, detectStopPassages, backfillStopPassages } from '../../services/stopPassage.service.js';
+
+const KM = 1 / 111.32; // degrees of latitude in a kilometre
+const at = (km) => ({ lat: 13 + km * KM, lng: 80 });
+const time = (seconds) => new Date(Date.UTC(2026, 0, 5, 4, 0, seconds));
+
+const fix = (km, seconds, distance = km) => ({ latitude: at(km).lat, longitude: 80, distance, time: time(seconds) });
+
+// Stops every kilometre along a straight road
+const straight = orderedStopSequence(
+  { stops: [3, 1, 2].map((order) => ({ stopId: `s${order}`, stopOrder: order, distanceFromOrigin: order - 1 })) },
+  [1, 2, 3].map((order) => ({ _id: `s${order}`, coordinates: at(order - 1) }))
+);
+
+describe('orderedStopSequence', () => {
+  it('sorts stops by stopOrder and attaches their coordinates', () => {
+    assert.deepEqual(straight.map(({ stop }) => stop), ['s1', 's2', 's3']);
+    assert.equal(straight[1].lat, at(1).lat);
+  });
+});
+
+describe('detectStopPassages', () => {
+  it('records an arrival inside the stop radius and the departure once the bus pulls away', () => {
+    const arrival = detectStopPassages({ sequence: straight, current: fix(0.01, 0) });
+    assert.deepEqual(arrival.events.map(({ stop, type }) => [stop, type]), [['s1', 'arrived']]);
+
+    const dwell = detectStopPassages({ sequence: straight, leftAt: arrival.leftAt, current: fix(0.03, 20) });
+    assert.equal(dwell.events.length, 0);
+
+    const departure = detectStopPassages({ sequence: straight, leftAt: dwell.leftAt, current: fix(0.2, 40) });
+    assert.deepEqual(departure.events.map(({ stop, type }) => [stop, type]), [['s1', 'departed']]);
+    assert.deepEqual(departure.leftAt[0].departedAt, time(40));
+  });
+
+  it('infers stops passed between two fixes with an interpolated time', () => {
+    const leftAt = [{ stop: 's1', arrivedAt: time(0), departedAt: time(10), time: time(10) }];
+    const { events, leftAt: passages } = detectStopPassages({
+      sequence: straight,
+      leftAt,
+      previous: { distance: 0.5, time: time(60) },
+      current: fix(1.5, 180),
+    });
+
+    assert.deepEqual(events.map(({ stop, type }) => [stop, type]), [['s2', 'passed']]);
+    assert.deepEqual(events[0].at, time(120));
+    assert.equal(passages[1].inferred, true);
+  });
+
+  it('records stops behind a first fix past the origin without a time or an event', () => {
+    const { events, leftAt } = detectStopPassages({ sequence: straight, current: fix(1.5, 600) });
+
+    assert.equal(events.length, 0);
+    assert.deepEqual(leftAt, [{ stop: 's1', inferred: true }, { stop: 's2', inferred: true }]);
+
+    const next = detectStopPassages({ sequence: straight, leftAt, previous: { distance: 1.5, time: time(600) }, current: fix(2, 660) });
+    assert.deepEqual(next.events.map(({ stop, type }) => [stop, type]), [['s3', 'arrived']]);
+  });
+
+  it('ignores stops on another leg of the route', () => {
+    // Out 3 km and back, the last stop beside the first
+    const sequence = orderedStopSequence(
+      { stops: [{ stopId: 'a', stopOrder: 1, distanceFromOrigin: 0 }, { stopId: 'b', stopOrder: 2, distanceFromOrigin: 3 }, { stopId: 'c', stopOrder: 3, distanceFromOrigin: 6 }] },
+      [{ _id: 'a', coordinates: at(0) }, { _id: 'b', coordinates: at(3) }, { _id: 'c', coordinates: at(0.02) }]
+    );
+
+    const start = detectStopPassages({ sequence, current: fix(0.01, 0, 0.01) });
+    assert.deepEqual(start.events.map(({ stop, type }) => [stop, type]), [['a', 'arrived']]);
+
+    const served = [
+      { stop: 'a', arrivedAt: time(0), departedAt: time(30) },
+      { stop: 'b', arrivedAt: time(400), departedAt: time(430) },
+    ];
+    const end = detectStopPassages({ sequence, leftAt: served, current: fix(0.01, 800, 5.99) });
+    assert.deepEqual(end.events.map(({ stop, type }) => [stop, type]), [['c', 'arrived']]);
+  });
+});
+
+describe('backfillStopPassages', () => {
+  // Left s1, then lost coverage; the first live fix back, at 2.5 km, could only infer s2 and s3
+  const live = [
+    { stop: 's1', arrivedAt: time(0), departedAt: time(10), time: time(10) },
+    { stop: 's2', arrivedAt: time(250), departedAt: time(250), time: time(250), inferred: true },
+    { stop: 's3', arrivedAt: time(290), departedAt: time(290), time: time(290), inferred: true },
+  ];
+
+  it('replaces inferred passages with what the buffered fixes saw', () => {
+    const arrival = backfillStopPassages({ sequence: straight, leftAt: live, current: fix(1, 100) });
+    assert.deepEqual(arrival.events.map(({ stop, type }) => [stop, type]), [['s2', 'arrived']]);
+    assert.deepEqual(arrival.leftAt[1], { stop: 's2', arrivedAt: time(100), inferred: false });
+
+    const departure = backfillStopPassages({
+      sequence: straight,
+      leftAt: arrival.leftAt,
+      previous: { distance: 1, time: time(100) },
+      current: fix(1.3, 130),
+    });
+    assert.deepEqual(departure.events.map(({ stop, type }) => [stop, type]), [['s2', 'departed']]);
+    assert.deepEqual(departure.leftAt[1].departedAt, time(130));
+
+    const passed = backfillStopPassages({
+      sequence: straight,
+      leftAt: departure.leftAt,
+      previous: { distance: 1.3, time: time(130) },
+      current: fix(2.2, 200),
+    });
+    assert.deepEqual(passed.events.map(({ stop, type }) => [stop, type]), [['s3', 'passed']]);
+    assert.equal(Math.round(passed.leftAt[2].time.getTime() / 1000), Math.round(time(130).getTime() / 1000) + 54);
+    assert.deepEqual(passed.leftAt.map(({ stop }) => stop), ['s1', 's2', 's3']);
+  });
+
+  it('leaves passages the live fixes saw alone', () => {
+    const { events, leftAt } = backfillStopPassages({ sequence: straight, leftAt: live, current: fix(0.01, 5) });
+    assert.equal(events.length, 0);
+    assert.deepEqual(leftAt, live);
+  });
+
+  it('does not run ahead of the live position or close the current dwell', () => {
+    // Live fixes have had the bus at s3 since 280 s; a stray buffered fix from 285 s is past it
+    const atS3 = [...live.slice(0, 2), { stop: 's3', arrivedAt: time(280), inferred: false }];
+
+    const ahead = backfillStopPassages({ sequence: straight, leftAt: live.slice(0, 2), current: fix(2, 270) });
+    assert.equal(ahead.events.length, 0);
+
+    const dwell = backfillStopPassages({
+      sequence: straight,
+      leftAt: atS3,
+      previous: { distance: 2, time: time(280) },
+      current: fix(2.3, 285),
+    });
+    assert.equal(dwell.events.length, 0);
+    assert.deepEqual(dwell.leftAt, atS3);
+  });
+});
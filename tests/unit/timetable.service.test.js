@@ -0,0 +1,66 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatServiceDate, departuresOn } from '../../services/timetable.service.js';
+import { zonedDate } from '../../utils/timezone.js';
+
+const HOUR = 3600;
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
+
+const timetable = (fields = {}) => ({
+  departureTimes: ['06:00', '18:30', '24:15'],
+  daysOfWeek: WEEKDAYS,
+  validFrom: '2026-01-01',
+  holidayService: 'None',
+  exceptions: [],
+  ...fields,
+});
+
+// 2026-01-05 is a Monday, 2026-01-04 a Sunday
+const monday = { year: 2026, month: 1, day: 5 };
+const sunday = { year: 2026, month: 1, day: 4 };
+const none = new Set();
+const usual = [6 * HOUR, 18.5 * HOUR, 24.25 * HOUR];
+
+describe('formatServiceDate', () => {
+  it('pads months and days', () => {
+    assert.equal(formatServiceDate({ year: 2026, month: 3, day: 7 }), '2026-03-07');
+  });
+});
+
+describe('departuresOn', () => {
+  it('runs on its days of the week, with times past midnight kept on the service date', () => {
+    assert.deepEqual(departuresOn(timetable(), monday, none), usual);
+    assert.deepEqual(departuresOn(timetable(), sunday, none), []);
+  });
+
+  it('runs only between validFrom and validTo', () => {
+    assert.deepEqual(departuresOn(timetable({ validFrom: '2026-01-06' }), monday, none), []);
+    assert.deepEqual(departuresOn(timetable({ validTo: '2026-01-04' }), monday, none), []);
+    assert.deepEqual(departuresOn(timetable({ validTo: '2026-01-05' }), monday, none), usual);
+  });
+
+  it('follows the holiday rule', () => {
+    const holidays = new Set(['2026-01-05']);
+    const sundayOnly = { daysOfWeek: ['Sunday'], departureTimes: ['09:00'] };
+
+    assert.deepEqual(departuresOn(timetable({ holidayService: 'None' }), monday, holidays), []);
+    assert.deepEqual(departuresOn(timetable({ holidayService: 'Regular' }), monday, holidays), usual);
+    assert.deepEqual(departuresOn(timetable({ holidayService: 'Sunday' }), monday, holidays), []);
+    assert.deepEqual(departuresOn(timetable({ ...sundayOnly, holidayService: 'Sunday' }), monday, holidays), [9 * HOUR]);
+  });
+
+  it('lets an exception for the date win over everything else', () => {
+    const cancelled = { date: '2026-01-05', cancelled: true, departureTimes: [] };
+    const changed = { date: '2026-01-05', cancelled: false, departureTimes: ['07:45'] };
+    const extraDay = { date: '2026-01-04', cancelled: false, departureTimes: [] };
+
+    assert.deepEqual(departuresOn(timetable({ exceptions: [cancelled] }), monday, none), []);
+    assert.deepEqual(departuresOn(timetable({ exceptions: [changed] }), monday, new Set(['2026-01-05'])), [7.75 * HOUR]);
+    assert.deepEqual(departuresOn(timetable({ exceptions: [extraDay] }), sunday, none), usual);
+  });
+
+  it('places a departure past midnight on the next calendar day', () => {
+    const [, , late] = departuresOn(timetable(), monday, none);
+    assert.equal(zonedDate(monday.year, monday.month, monday.day, late, 'Asia/Kolkata').toISOString(), '2026-01-05T18:45:00.000Z');
+  });
+});
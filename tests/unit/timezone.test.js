@@ -0,0 +1,46 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { timeZoneOffset, zonedDate, zonedCalendarDate } from '../../utils/timezone.js';
+
+const HOUR = 3600;
+const NEW_YORK = 'America/New_York'; // Clocks go forward on 2026-03-08 and back on 2026-11-01, both at 02:00
+const iso = (date) => date.toISOString();
+
+describe('zonedDate', () => {
+  it('converts a wall-clock time without daylight saving', () => {
+    assert.equal(iso(zonedDate(2026, 1, 5, 10 * HOUR, 'Asia/Kolkata')), '2026-01-05T04:30:00.000Z');
+  });
+
+  it('counts times past 24:00 into the next day', () => {
+    assert.equal(iso(zonedDate(2026, 1, 5, 25.5 * HOUR, 'Asia/Kolkata')), '2026-01-05T20:00:00.000Z');
+    assert.equal(iso(zonedDate(2026, 1, 31, 24 * HOUR, 'Asia/Kolkata')), '2026-01-31T18:30:00.000Z');
+    assert.equal(iso(zonedDate(2026, 3, 7, 25.5 * HOUR, NEW_YORK)), '2026-03-08T06:30:00.000Z');
+  });
+
+  it('uses the offset in force at the time, on either side of a daylight saving change', () => {
+    assert.equal(iso(zonedDate(2026, 3, 8, 0, NEW_YORK)), '2026-03-08T05:00:00.000Z');
+    assert.equal(iso(zonedDate(2026, 3, 8, 3.5 * HOUR, NEW_YORK)), '2026-03-08T07:30:00.000Z');
+    assert.equal(iso(zonedDate(2026, 3, 8, 5 * HOUR, NEW_YORK)), '2026-03-08T09:00:00.000Z');
+    assert.equal(iso(zonedDate(2026, 11, 1, 3 * HOUR, NEW_YORK)), '2026-11-01T08:00:00.000Z');
+    assert.equal(iso(zonedDate(2026, 11, 1, 10 * HOUR, NEW_YORK)), '2026-11-01T15:00:00.000Z');
+  });
+
+  it('moves a skipped time an hour later and takes the first of a repeated one', () => {
+    assert.equal(iso(zonedDate(2026, 3, 8, 2.5 * HOUR, NEW_YORK)), '2026-03-08T07:30:00.000Z'); // 03:30 EDT
+    assert.equal(iso(zonedDate(2026, 11, 1, 1.5 * HOUR, NEW_YORK)), '2026-11-01T05:30:00.000Z'); // 01:30 EDT
+  });
+});
+
+describe('zonedCalendarDate', () => {
+  it('gives the local date of an instant', () => {
+    assert.deepEqual(zonedCalendarDate(new Date('2026-01-05T19:00:00Z'), 'Asia/Kolkata'), { year: 2026, month: 1, day: 6 });
+    assert.deepEqual(zonedCalendarDate(new Date('2026-03-08T04:59:00Z'), NEW_YORK), { year: 2026, month: 3, day: 7 });
+  });
+});
+
+describe('timeZoneOffset', () => {
+  it('follows daylight saving', () => {
+    assert.equal(timeZoneOffset(new Date('2026-01-15T12:00:00Z'), NEW_YORK), -5 * HOUR * 1000);
+    assert.equal(timeZoneOffset(new Date('2026-07-15T12:00:00Z'), NEW_YORK), -4 * HOUR * 1000);
+  });
+});
@@ -0,0 +1,11 @@
+/**
+ * An error answered to a WebSocket client, with one of the protocol's error codes
+ */
+class ProtocolError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+export default ProtocolError;
@@ -0,0 +1,69 @@
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF line endings) into objects keyed by the header row.
+ * @param {string} text
+ * @returns {Object[]}
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text; // strip BOM
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter((r) => r.length > 1 || r[0] !== '');
+  const keys = header.map((key) => key.trim());
+  return records.map((record) => Object.fromEntries(keys.map((key, index) => [key, (record[index] ?? '').trim()])));
+};
+
+const escapeField = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialise objects to CSV with the given columns as the header row.
+ * @param {string[]} columns
+ * @param {Object[]} records
+ * @returns {string}
+ */
+const toCsv = (columns, records) => {
+  const lines = [columns.join(',')];
+  records.forEach((record) => lines.push(columns.map((column) => escapeField(record[column])).join(',')));
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+export { parseCsv, toCsv };
@@ -0,0 +1,69 @@
+import { haversineDistance } from "./time.js";
+
+const EARTH_RADIUS = 6371; // km
+const toRad = (angle) => (Math.PI / 180) * angle;
+
+/**
+ * Project a point onto the segment a→b using a local equirectangular approximation,
+ * which is accurate enough for the few hundred metres between polyline vertices.
+ * @param {{lat: number, lng: number}} point
+ * @param {{lat: number, lng: number}} a
+ * @param {{lat: number, lng: number}} b
+ * @returns {{fraction: number, distance: number}} fraction along a→b (0..1) and distance from the segment in km
+ */
+const projectOntoSegment = (point, a, b) => {
+  const cosLat = Math.cos(toRad(a.lat));
+  const toXY = (p) => ({
+    x: toRad(p.lng - a.lng) * cosLat * EARTH_RADIUS,
+    y: toRad(p.lat - a.lat) * EARTH_RADIUS,
+  });
+
+  const p = toXY(point);
+  const end = toXY(b);
+  const lengthSquared = end.x * end.x + end.y * end.y;
+
+  let fraction = lengthSquared === 0 ? 0 : (p.x * end.x + p.y * end.y) / lengthSquared;
+  fraction = Math.max(0, Math.min(1, fraction));
+
+  const dx = p.x - fraction * end.x;
+  const dy = p.y - fraction * end.y;
+  return { fraction, distance: Math.sqrt(dx * dx + dy * dy) };
+};
+
+/**
+ * Cumulative distance (km) at each vertex of a polyline.
+ * @param {Array<{lat: number, lng: number}>} points
+ * @returns {number[]}
+ */
+const cumulativeDistances = (points) => {
+  const cumulative = [0];
+  for (let i = 1; i < points.length; i++) {
+    const prev = points[i - 1];
+    const point = points[i];
+    cumulative.push(cumulative[i - 1] + haversineDistance(prev.lat, prev.lng, point.lat, point.lng));
+  }
+  return cumulative;
+};
+
+/**
+ * Every projection of a point onto a polyline, one per segment.
+ * @param {Array<{lat: number, lng: number}>} points
+ * @param {number[]} cumulative - Output of cumulativeDistances(points)
+ * @param {{lat: number, lng: number}} point
+ * @returns {Array<{segment: number, along: number, distance: number}>} along is km from the start of the polyline
+ */
+const projectOntoPolyline = (points, cumulative, point) => {
+  const projections = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    const { fraction, distance } = projectOntoSegment(point, points[i], points[i + 1]);
+    const along = cumulative[i] + fraction * (cumulative[i + 1] - cumulative[i]);
+    projections.push({ segment: i, along, distance });
+  }
+  return projections;
+};
+
+export {
+  projectOntoSegment,
+  cumulativeDistances,
+  projectOntoPolyline,
+};
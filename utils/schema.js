@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+const checks = {
+  string: (value) => typeof value === "string",
+  number: (value) => typeof value === "number" && Number.isFinite(value),
+  // Numbers or numeric strings, e.g. values older clients sent as text
+  numeric: (value) => (typeof value === "number" && Number.isFinite(value)) ||
+    (typeof value === "string" && value.trim() !== "" && Number.isFinite(Number(value))),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === "boolean",
+  objectId: (value) => typeof value === "string" && mongoose.isValidObjectId(value),
+  date: (value) => (typeof value === "string" || typeof value === "number") && !Number.isNaN(new Date(value).getTime()),
+  array: (value) => Array.isArray(value),
+  object: (value) => value !== null && typeof value === "object" && !Array.isArray(value),
+};
+
+/**
+ * Check a payload against a field schema, e.g. `{ scheduledBusId: { type: "objectId", required: true } }`.
+ * Fields the schema doesn't mention are ignored, so clients can send fields this server doesn't know yet.
+ * @param {Object} schema - field -> {type, required?, enum?, min?, max?, items?, properties?}
+ * @param {Object} payload
+ * @returns {string[]} What is wrong, empty when the payload is valid
+ */
+const validate = (schema, payload) => {
+  const problems = [];
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    const value = payload?.[field];
+    if (value === undefined || value === null) {
+      if (rule.required) problems.push(`${field} is required`);
+      return;
+    }
+
+    if (!checks[rule.type](value)) {
+      problems.push(`${field} must be of type ${rule.type}`);
+      return;
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+      problems.push(`${field} must be one of ${rule.enum.join(", ")}`);
+    }
+    const size = rule.type === "array" || rule.type === "string" ? value.length : Number(value);
+    if (rule.min !== undefined && size < rule.min) problems.push(`${field} must be at least ${rule.min}`);
+    if (rule.max !== undefined && size > rule.max) problems.push(`${field} must be at most ${rule.max}`);
+    if (rule.properties && rule.type === "object") {
+      validate(rule.properties, value).forEach((problem) => problems.push(`${field}.${problem}`));
+    }
+    if (rule.items && rule.type === "array") {
+      value.forEach((item, index) => {
+        validate(rule.items, item).forEach((problem) => problems.push(`${field}[${index}].${problem}`));
+      });
+    }
+  });
+
+  return problems;
+};
+
+export default validate;
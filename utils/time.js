@@ -22,10 +22,9 @@ const haversineDistance = (lat1, lon1, lat2, lon2) => {
   return R * c; // Distance in km
 };
 
-const calculateSpeed = (prevLat, prevLng, prevTimestamp, newLat, newLng) => {
+const calculateSpeed = (prevLat, prevLng, prevTimestamp, newLat, newLng, currentTimestamp = Date.now()) => {
     if (!prevLat || !prevLng || !prevTimestamp) return null; // Skip speed calculation if data is missing
   
-    const currentTimestamp = Date.now();
     const timeDiff = (currentTimestamp - prevTimestamp) / 1000; // Time in seconds
   
     if (timeDiff < 1) return null; // Ignore updates that are too frequent
@@ -0,0 +1,55 @@
+/**
+ * Offset of a time zone from UTC at a given instant, in milliseconds.
+ * @param {Date} date
+ * @param {string} timeZone - IANA name, e.g. Asia/Kolkata
+ * @returns {number}
+ */
+const timeZoneOffset = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date);
+  const value = (type) => parseInt(parts.find((part) => part.type === type).value, 10);
+
+  const asUtc = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * The instant a wall-clock time occurs in a time zone.
+ * The offset is looked up again at the first estimate, as it may differ from the one at the guess
+ * for a few hours around a daylight saving change. A time skipped when clocks go forward comes out
+ * an hour later; a time that occurs twice when they go back, as its first occurrence.
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day
+ * @param {number} seconds - Seconds after local midnight, may exceed 24h
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+const zonedDate = (year, month, day, seconds, timeZone) => {
+  const guess = Date.UTC(year, month - 1, day) + seconds * 1000;
+  const estimate = guess - timeZoneOffset(new Date(guess), timeZone);
+  const offset = timeZoneOffset(new Date(estimate), timeZone);
+  const corrected = guess - offset;
+  return new Date(timeZoneOffset(new Date(corrected), timeZone) === offset ? corrected : estimate);
+};
+
+/**
+ * Calendar date of an instant in a time zone.
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {{year: number, month: number, day: number}}
+ */
+const zonedCalendarDate = (date, timeZone) => {
+  const local = new Date(date.getTime() + timeZoneOffset(date, timeZone));
+  return { year: local.getUTCFullYear(), month: local.getUTCMonth() + 1, day: local.getUTCDate() };
+};
+
+export { timeZoneOffset, zonedDate, zonedCalendarDate };